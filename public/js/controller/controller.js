@@ -5,20 +5,49 @@ let roomCode = null;
 let playerNumber = null;
 let isHost = false;
 let playerName = '';
+let roomPin = ''; // Only needed for rooms the host locked with a PIN
+let sessionToken = null;
+let lobbyPlayers = [];
+let isSpectator = false; // Watching without a racer slot
+let maxPlayers = GAME_CONSTANTS.MAX_PLAYERS; // Room's racer cap
+let roomPhase = GAME_CONSTANTS.LOBBY.PHASES.WAITING; // Set by the server
+let selectedCarId = null;
+let isReady = false;
+let autoStartTicker = null; // Counts down a pending ready-up start
+
+// sessionStorage key for the resumable session token
+const SESSION_STORAGE_KEY = 'bbr_controller_session';
 
 // Input state
 let inputState = {
     steering: 0,      // -1 (left), 0 (center), 1 (right)
     brake: false,
+    useItem: false,
     timestamp: Date.now()
 };
 
+// Item button is held down (useItem stays set until it has been sent once)
+let itemButtonHeld = false;
+
+// Last drift boost tier seen, to buzz once per new tier
+let lastDriftTier = 0;
+
+// Held item display
+const ITEM_DISPLAY = {
+    boost: { icon: '🚀', label: 'BOOST' },
+    oilSlick: { icon: '🛢️', label: 'OIL' },
+    homingShot: { icon: '🎯', label: 'HOMING' },
+    shield: { icon: '🛡️', label: 'SHIELD' }
+};
+
 // Screen elements
 const screens = {
     welcome: document.getElementById('welcomeScreen'),
     codeEntry: document.getElementById('codeEntryScreen'),
     lobby: document.getElementById('lobbyScreen'),
-    controller: document.getElementById('controllerScreen')
+    carSelect: document.getElementById('carSelectScreen'),
+    controller: document.getElementById('controllerScreen'),
+    spectator: document.getElementById('spectatorScreen')
 };
 
 // Initialize when page loads
@@ -36,6 +65,11 @@ function initializeController() {
     // Check if room code is in URL (QR code scan)
     const urlParams = new URLSearchParams(window.location.search);
     const urlRoomCode = urlParams.get('room');
+    const urlPin = urlParams.get('pin');
+    
+    if (urlPin) {
+        showPinEntry(urlPin);
+    }
     
     if (urlRoomCode) {
         // Auto-fill room code and go to code entry screen
@@ -121,11 +155,14 @@ function validateAndEnableJoin() {
     const digits = document.querySelectorAll('.code-digit');
     const code = Array.from(digits).map(d => d.value).join('');
     const joinBtn = document.getElementById('joinGameBtn');
+    const spectateBtn = document.getElementById('spectateBtn');
     
     if (code.length === 6 && /^\d{6}$/.test(code)) {
         joinBtn.disabled = false;
+        spectateBtn.disabled = false;
     } else {
         joinBtn.disabled = true;
+        spectateBtn.disabled = true;
     }
 }
 
@@ -146,6 +183,18 @@ function getEnteredCode() {
     return Array.from(digits).map(d => d.value).join('');
 }
 
+function showPinEntry(pin = '') {
+    const pinInput = document.getElementById('roomPin');
+    
+    document.getElementById('pinEntry').style.display = 'block';
+    if (pin) {
+        pinInput.value = pin;
+    } else {
+        pinInput.value = '';
+        pinInput.focus();
+    }
+}
+
 // ============================================
 // EVENT LISTENERS
 // ============================================
@@ -166,6 +215,16 @@ function setupEventListeners() {
         joinGame();
     });
     
+    // Watch without racing
+    document.getElementById('spectateBtn').addEventListener('click', () => {
+        joinGame(true);
+    });
+    
+    // Spectator takes a free racer slot
+    document.getElementById('claimSlotBtn').addEventListener('click', () => {
+        claimRacerSlot();
+    });
+    
     // Disconnect button
     document.getElementById('disconnectBtn').addEventListener('click', () => {
         if (confirm('Disconnect from game?')) {
@@ -180,6 +239,13 @@ function setupEventListeners() {
         }
     });
     
+    // Leave while spectating
+    document.getElementById('leaveSpectatingBtn').addEventListener('click', () => {
+        if (confirm('Leave game?')) {
+            disconnectFromGame();
+        }
+    });
+    
     // Host controls (map selection)
     document.querySelectorAll('.map-option').forEach(btn => {
         btn.addEventListener('click', (e) => {
@@ -212,6 +278,75 @@ function setupEventListeners() {
         });
     });
     
+    // Host controls (racer cap)
+    const maxPlayersSelect = document.getElementById('maxPlayersSelect');
+    for (let cap = GAME_CONSTANTS.MIN_PLAYERS; cap <= GAME_CONSTANTS.MAX_PLAYERS_LIMIT; cap++) {
+        const option = document.createElement('option');
+        option.value = cap;
+        option.textContent = `${cap} player${cap === 1 ? '' : 's'}`;
+        maxPlayersSelect.appendChild(option);
+    }
+    maxPlayersSelect.value = maxPlayers;
+    
+    maxPlayersSelect.addEventListener('change', () => {
+        if (!isHost) return;
+        
+        socket.emit('setMaxPlayers', { roomCode, maxPlayers: Number(maxPlayersSelect.value) }, (response) => {
+            if (!response.success) {
+                alert(response.error);
+                maxPlayersSelect.value = maxPlayers;
+            }
+        });
+    });
+    
+    // Host controls (bot difficulty for the next bot added)
+    document.querySelectorAll('.bot-difficulty-option').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            document.querySelectorAll('.bot-difficulty-option').forEach(b => b.classList.remove('selected'));
+            e.target.classList.add('selected');
+        });
+    });
+    
+    // Host controls (add/remove bots)
+    document.getElementById('addBotBtn').addEventListener('click', () => {
+        if (!isHost) return;
+        
+        const selected = document.querySelector('.bot-difficulty-option.selected');
+        const difficulty = selected ? selected.dataset.difficulty : 'medium';
+        
+        socket.emit('addBot', { roomCode, difficulty }, (response) => {
+            if (!response.success) {
+                alert(response.error);
+            }
+        });
+    });
+    
+    document.getElementById('removeBotBtn').addEventListener('click', () => {
+        if (!isHost) return;
+        
+        socket.emit('removeBot', { roomCode }, (response) => {
+            if (!response.success) {
+                alert(response.error);
+            }
+        });
+    });
+    
+    // Ready toggle (same state on the lobby and car selection screens)
+    document.querySelectorAll('.ready-btn').forEach(btn => {
+        btn.addEventListener('click', toggleReady);
+    });
+    
+    // Host stops a pending ready-up start
+    document.getElementById('holdStartBtn').addEventListener('click', () => {
+        if (!isHost) return;
+        
+        socket.emit('cancelAutoStart', { roomCode }, (response) => {
+            if (!response.success) {
+                alert(response.error);
+            }
+        });
+    });
+    
     // Touch controls (will be set up after game starts)
     setupTouchControls();
 }
@@ -220,7 +355,7 @@ function setupEventListeners() {
 // SOCKET.IO CONNECTION
 // ============================================
 
-function joinGame() {
+function joinGame(asSpectator = false) {
     const code = getEnteredCode();
     playerName = document.getElementById('playerName').value.trim() || 'Player';
     
@@ -229,8 +364,22 @@ function joinGame() {
         return;
     }
     
+    roomPin = document.getElementById('roomPin').value.trim();
+    
+    if (roomPin && !/^\d{4}$/.test(roomPin)) {
+        showError('The PIN is 4 digits');
+        return;
+    }
+    
+    isSpectator = asSpectator;
     showLoading(true);
     
+    // Drop the socket left over from a failed attempt
+    if (socket) {
+        socket.disconnect();
+        socket = null;
+    }
+    
     // Initialize Socket.IO connection
     socket = io({
         reconnection: true,
@@ -238,34 +387,22 @@ function joinGame() {
         reconnectionDelay: 1000
     });
     
-    // Connection handlers
+    // Connection handlers (also fires again after an automatic reconnect)
     socket.on('connect', () => {
         console.log('[Controller] Connected to server');
         
-        // Join the room
-        socket.emit('joinRoom', { 
-            roomCode: code, 
-            playerName: playerName 
-        }, (response) => {
-            showLoading(false);
-            
-            if (response.success) {
-                roomCode = code;
-                playerNumber = response.playerNumber;
-                isHost = response.isHost;
-                
-                console.log(`[Controller] Joined as Player ${playerNumber}`);
-                
-                // Update UI
-                updatePlayerInfo();
-                
-                // Show lobby screen
-                showScreen('lobby');
-                
-            } else {
-                showError(response.error || 'Failed to join game');
-            }
-        });
+        // Clock offset is needed before the race countdown arrives
+        startLatencyMonitor();
+        
+        const savedSession = loadSession(code);
+        
+        if (isSpectator) {
+            requestSpectate(code);
+        } else if (savedSession) {
+            resumeSession(code, savedSession.sessionToken);
+        } else {
+            requestJoin(code);
+        }
     });
     
     socket.on('connect_error', (error) => {
@@ -273,33 +410,211 @@ function joinGame() {
         showLoading(false);
         showError('Unable to connect to server');
     });
+
+    // Server disconnected this controller for flooding it (the slot is already gone)
+    socket.on('kicked', (data) => {
+        alert('Disconnected by server: ' + data.reason);
+        disconnectFromGame();
+    });
+
+    // Server timing its own round trip to us
+    socket.on('serverPing', (data, callback) => {
+        if (callback) callback();
+    });
+    
+    // Server rejected an event this controller sent
+    socket.on('eventError', (data) => {
+        console.warn(`[Controller] ${data.event} rejected (${data.code}): ${data.error}`);
+    });
     
     // Player joined event
     socket.on('playerJoined', (data) => {
         console.log('[Controller] Player joined:', data);
-        document.getElementById('connectedPlayersInfo').textContent = 
-            `Players connected: ${data.totalPlayers}/4`;
+        lobbyPlayers = data.players;
+        maxPlayers = data.maxPlayers;
+        updateConnectedPlayersInfo();
     });
     
     // Player left event
     socket.on('playerLeft', (data) => {
         console.log('[Controller] Player left:', data);
-        document.getElementById('connectedPlayersInfo').textContent = 
-            `Players connected: ${data.totalPlayers}/4`;
+        lobbyPlayers = data.players;
+        maxPlayers = data.maxPlayers;
+        updateConnectedPlayersInfo();
+        syncOwnSlot(data.players);
+    });
+    
+    // Room moved on (lobby, car selection, countdown, race, results)
+    socket.on('phaseChanged', (data) => {
+        console.log(`[Controller] Phase changed: ${data.previousPhase} -> ${data.phase}`);
+        lobbyPlayers = data.room.players;
+        syncOwnSlot(data.room.players);
+        applyPhase(data.phase);
+    });
+    
+    // A racer picked a car
+    socket.on('carSelected', (data) => {
+        lobbyPlayers = data.players;
+        
+        if (data.playerNumber === playerNumber) {
+            selectedCarId = data.carId;
+        }
+        
+        updateCarPicker();
+    });
+    
+    // A racer readied up or stood down
+    socket.on('playerReady', (data) => {
+        lobbyPlayers = data.players;
+        updateReadyButtons();
+        updateCarPicker();
+    });
+    
+    // Everyone is ready, the race starts by itself shortly
+    socket.on('autoStartScheduled', (data) => {
+        showAutoStart(data.delay, data.poorConnections);
+    });
+    
+    // Someone stood down or the host held the start
+    socket.on('autoStartCancelled', (data) => {
+        lobbyPlayers = data.players;
+        stopAutoStartTicker();
+        document.getElementById('autoStartStatus').textContent = `⏸️ ${data.reason}`;
+        updateReadyButtons();
+        updateCarPicker();
+    });
+    
+    // Host changed the racer cap
+    socket.on('maxPlayersChanged', (data) => {
+        console.log('[Controller] Player cap changed:', data);
+        maxPlayers = data.maxPlayers;
+        updateConnectedPlayersInfo();
+    });
+    
+    // Spectators joined or left
+    socket.on('spectatorsUpdated', (data) => {
+        updateSpectatorCount(data.spectators.length);
     });
     
     // Game starting event
     socket.on('gameStarting', (data) => {
         console.log('[Controller] Game starting!', data);
         
-        // Show countdown
-        showCountdown(data.countdown);
+        // Spectators keep watching the standings
+        if (isSpectator) {
+            document.getElementById('claimSlotBtn').style.display = 'none';
+            showSpectatorView('👀 Spectating', 'Race starting...');
+            return;
+        }
         
-        // Switch to controller screen after countdown
-        setTimeout(() => {
-            showScreen('controller');
+        // Controls are live from now on, touching them before GO is a false start
+        showScreen('controller');
+        if (!inputInterval) {
             startSendingInputs();
-        }, data.countdown * 1000);
+        }
+        
+        showCountdown(data.startAt);
+    });
+    
+    // Someone touched the controls before GO
+    socket.on('falseStart', (data) => {
+        if (data.playerNumber !== playerNumber) return;
+        
+        const notice = document.getElementById('falseStartNotice');
+        const heldFor = (raceCountdown ? raceCountdown.getRemaining() : 0) + data.penalty;
+        
+        notice.style.display = 'block';
+        setTimeout(() => {
+            notice.style.display = 'none';
+        }, heldFor);
+        
+        if (navigator.vibrate) {
+            navigator.vibrate([200, 100, 200]);
+        }
+    });
+    
+    // Authoritative snapshots from the server simulation
+    socket.on('gameState', (data) => {
+        updateRaceHud(data.state);
+        updateSpectatorStandings(data.state);
+    });
+    
+    // Elimination mode knocked a buggy out
+    socket.on('playerEliminated', (data) => {
+        console.log('[Controller] Player eliminated:', data);
+        
+        if (data.playerNumber === playerNumber) {
+            stopSendingInputs();
+            showSpectatorView('💥 Eliminated!', `Knocked out on lap ${data.lap}. Watch who survives...`);
+            
+            if (navigator.vibrate) {
+                navigator.vibrate([100, 50, 100]);
+            }
+        }
+    });
+    
+    // Picked up an item box
+    socket.on('itemCollected', (data) => {
+        if (data.playerNumber === playerNumber && navigator.vibrate) {
+            navigator.vibrate(40);
+        }
+    });
+    
+    // Spun out by an oil slick or homing shot
+    socket.on('playerSpunOut', (data) => {
+        if (data.playerNumber === playerNumber && navigator.vibrate) {
+            navigator.vibrate([150, 50, 150]);
+        }
+    });
+    
+    // Battle arena hits on this buggy
+    socket.on('playerHit', (data) => {
+        if (data.playerNumber === playerNumber && navigator.vibrate) {
+            navigator.vibrate(80);
+        }
+    });
+    
+    socket.on('playerDestroyed', (data) => {
+        console.log('[Controller] Player destroyed:', data);
+        
+        if (data.playerNumber === playerNumber && navigator.vibrate) {
+            navigator.vibrate([200, 100, 200]);
+        }
+    });
+    
+    // Lap finished (time trial reports personal bests)
+    socket.on('lapCompleted', (data) => {
+        console.log('[Controller] Lap completed:', data);
+        
+        if (data.playerNumber === playerNumber && data.personalBest && navigator.vibrate) {
+            navigator.vibrate([50, 30, 50, 30, 150]);
+        }
+    });
+    
+    // Server simulation finished the race
+    socket.on('raceFinished', (data) => {
+        console.log('[Controller] Race finished:', data);
+        
+        if (isSpectator) {
+            document.getElementById('claimSlotBtn').style.display = 'block';
+            showSpectatorView('👀 Spectating', 'Race over. Join the next one if a slot is free!');
+            return;
+        }
+        
+        stopSendingInputs();
+        showScreen('lobby');
+    });
+    
+    // Desktop dropped, room is held while it reconnects
+    socket.on('hostDisconnected', (data) => {
+        console.log('[Controller] Host disconnected:', data);
+        document.getElementById('hostNotice').style.display = 'block';
+    });
+    
+    // Desktop reclaimed the room
+    socket.on('hostReconnected', () => {
+        console.log('[Controller] Host reconnected');
+        document.getElementById('hostNotice').style.display = 'none';
     });
     
     // Room closed event
@@ -309,7 +624,297 @@ function joinGame() {
     });
 }
 
+function requestJoin(code) {
+    socket.emit('joinRoom', { 
+        roomCode: code, 
+        playerName: playerName,
+        pin: roomPin || undefined
+    }, (response) => {
+        showLoading(false);
+        
+        if (response.success) {
+            roomCode = code;
+            playerNumber = response.playerNumber;
+            isHost = response.isHost;
+            sessionToken = response.sessionToken;
+            saveSession(code, sessionToken);
+            
+            console.log(`[Controller] Joined as Player ${playerNumber}`);
+            
+            // Update UI
+            updatePlayerInfo();
+            
+            // Show the lobby (or the car picker if the room is already choosing)
+            showScreen('lobby');
+            applyPhase(response.phase);
+            
+        } else {
+            handleJoinRefused(response);
+        }
+    });
+}
+
+function requestSpectate(code) {
+    socket.emit('spectateRoom', {
+        roomCode: code,
+        name: playerName,
+        pin: roomPin || undefined
+    }, (response) => {
+        showLoading(false);
+        
+        if (!response.success) {
+            handleJoinRefused(response);
+            return;
+        }
+        
+        roomCode = code;
+        lobbyPlayers = response.room.players;
+        
+        console.log('[Controller] Spectating room', code);
+        
+        updateSpectatorCount(response.room.spectators.length);
+        document.getElementById('hostNotice').style.display = response.room.hostConnected ? 'none' : 'block';
+        showSpectatorView('👀 Spectating', 'Follow the race live');
+        applyPhase(response.room.phase);
+    });
+}
+
+// Room refused this phone, asking for the PIN if that is what was missing
+function handleJoinRefused(response) {
+    if (response.code === 'PIN_REQUIRED' || response.code === 'INVALID_PIN') {
+        showPinEntry();
+    }
+    
+    showError(response.error || 'Failed to join game');
+}
+
+function claimRacerSlot() {
+    socket.emit('claimRacerSlot', { roomCode }, (response) => {
+        if (!response.success) {
+            alert(response.error);
+            return;
+        }
+        
+        isSpectator = false;
+        playerNumber = response.playerNumber;
+        isHost = response.isHost;
+        sessionToken = response.sessionToken;
+        saveSession(roomCode, sessionToken);
+        
+        console.log(`[Controller] Claimed slot as Player ${playerNumber}`);
+        
+        document.getElementById('claimSlotBtn').style.display = 'none';
+        updatePlayerInfo();
+        showScreen('lobby');
+        applyPhase(response.phase);
+    });
+}
+
+// Show the screen for the room's phase (countdown and race screens follow gameStarting)
+function applyPhase(phase) {
+    const phases = GAME_CONSTANTS.LOBBY.PHASES;
+    roomPhase = phase;
+    
+    updateHostControls();
+    updateReadyButtons();
+    stopAutoStartTicker();
+    document.getElementById('autoStartStatus').textContent = '';
+    
+    if (isSpectator) {
+        const canClaim = phase !== phases.COUNTDOWN && phase !== phases.RACING;
+        document.getElementById('claimSlotBtn').style.display = canClaim ? 'block' : 'none';
+        
+        if (phase === phases.CAR_SELECTION) {
+            showSpectatorView('👀 Spectating', 'Racers are picking their cars...');
+        }
+        return;
+    }
+    
+    if (phase === phases.CAR_SELECTION) {
+        showCarPicker();
+    } else if (phase === phases.WAITING || phase === phases.SETUP) {
+        showScreen('lobby');
+    }
+}
+
+// ============================================
+// CAR SELECTION
+// ============================================
+
+function showCarPicker() {
+    const container = document.getElementById('carOptions');
+    
+    // Built once from the shared catalog
+    if (!container.children.length) {
+        CarCatalog.getCarIds().forEach(carId => {
+            const car = CarCatalog.getCar(carId);
+            const option = document.createElement('button');
+            
+            option.className = 'car-option';
+            option.dataset.car = carId;
+            option.innerHTML = `
+                <span class="car-option-name">${car.name}</span>
+                <span class="car-option-stats">SPD ${car.stats.speed} · HND ${car.stats.handling} · ACC ${car.stats.acceleration}</span>
+            `;
+            option.addEventListener('click', () => {
+                socket.emit('selectCar', { roomCode, carId });
+                if (navigator.vibrate) {
+                    navigator.vibrate(30);
+                }
+            });
+            
+            container.appendChild(option);
+        });
+    }
+    
+    updateCarPicker();
+    showScreen('carSelect');
+}
+
+function updateCarPicker() {
+    document.querySelectorAll('.car-option').forEach(option => {
+        option.classList.toggle('selected', option.dataset.car === selectedCarId);
+    });
+    
+    const picked = lobbyPlayers.filter(p => p.carSelected).length;
+    const ready = lobbyPlayers.filter(p => p.ready).length;
+    const status = document.getElementById('carSelectStatus');
+    
+    status.textContent = selectedCarId
+        ? `✓ ${CarCatalog.getCar(selectedCarId).name} locked in (${picked}/${lobbyPlayers.length} picked, ${ready} ready)`
+        : 'Tap a car to choose it';
+}
+
+// ============================================
+// READY UP
+// ============================================
+
+function toggleReady() {
+    if (isSpectator) return;
+    
+    socket.emit('setReady', { roomCode, ready: !isReady }, (response) => {
+        if (!response.success) {
+            alert(response.error);
+            return;
+        }
+        
+        if (navigator.vibrate) {
+            navigator.vibrate(30);
+        }
+    });
+}
+
+// Ready flags live on the server; mirror ours onto both toggles
+function updateReadyButtons() {
+    const me = lobbyPlayers.find(p => p.playerNumber === playerNumber);
+    isReady = Boolean(me && me.ready);
+    
+    document.querySelectorAll('.ready-btn').forEach(btn => {
+        btn.classList.toggle('ready', isReady);
+        btn.textContent = isReady ? '✅ Ready! (tap to cancel)' : '✋ Ready Up';
+    });
+}
+
+// Count down to a ready-up start; the host may hold it (and is warned about weak links)
+function showAutoStart(delay, poorConnections = []) {
+    const startsAt = Date.now() + delay;
+    const status = document.getElementById('autoStartStatus');
+    const warning = isHost && poorConnections.length > 0
+        ? ` ⚠️ Weak connection: ${poorConnections.join(', ')}`
+        : '';
+    
+    stopAutoStartTicker();
+    
+    const tick = () => {
+        const seconds = Math.max(0, Math.ceil((startsAt - Date.now()) / 1000));
+        status.textContent = `🏁 Everyone's ready! Starting in ${seconds}...${warning}`;
+    };
+    
+    tick();
+    autoStartTicker = setInterval(tick, 250);
+    document.getElementById('holdStartBtn').style.display = isHost ? 'block' : 'none';
+}
+
+function stopAutoStartTicker() {
+    if (autoStartTicker) {
+        clearInterval(autoStartTicker);
+        autoStartTicker = null;
+    }
+    
+    document.getElementById('holdStartBtn').style.display = 'none';
+}
+
+function resumeSession(code, token) {
+    socket.emit('resumeSession', {
+        roomCode: code,
+        sessionToken: token
+    }, (response) => {
+        if (!response.success) {
+            // Slot was released, join as a new player instead
+            console.log('[Controller] Could not resume session:', response.error);
+            clearSession();
+            requestJoin(code);
+            return;
+        }
+        
+        showLoading(false);
+        
+        roomCode = code;
+        playerNumber = response.playerNumber;
+        isHost = response.isHost;
+        playerName = response.playerName;
+        sessionToken = response.sessionToken;
+        
+        console.log(`[Controller] Resumed as Player ${playerNumber}`);
+        
+        selectedCarId = response.selectedCar;
+        updatePlayerInfo();
+        
+        document.getElementById('hostNotice').style.display = response.hostConnected ? 'none' : 'block';
+        
+        if (response.gameStarted) {
+            showScreen('controller');
+            if (!inputInterval) {
+                startSendingInputs();
+            }
+        } else {
+            showScreen('lobby');
+            applyPhase(response.phase);
+        }
+    });
+}
+
+function saveSession(code, token) {
+    sessionStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify({
+        roomCode: code,
+        sessionToken: token
+    }));
+}
+
+function loadSession(code) {
+    try {
+        const saved = JSON.parse(sessionStorage.getItem(SESSION_STORAGE_KEY));
+        return saved && saved.roomCode === code ? saved : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function clearSession() {
+    sessionToken = null;
+    sessionStorage.removeItem(SESSION_STORAGE_KEY);
+}
+
 function disconnectFromGame() {
+    // Leaving on purpose releases the slot, so forget the session
+    clearSession();
+    stopSendingInputs();
+    stopAutoStartTicker();
+    
+    if (latencyMonitor) {
+        latencyMonitor.stop();
+    }
+    
     if (socket) {
         socket.disconnect();
         socket = null;
@@ -318,6 +923,9 @@ function disconnectFromGame() {
     roomCode = null;
     playerNumber = null;
     isHost = false;
+    isSpectator = false;
+    document.getElementById('hostNotice').style.display = 'none';
+    document.getElementById('claimSlotBtn').style.display = 'none';
     
     // Reset code inputs
     document.querySelectorAll('.code-digit').forEach(d => {
@@ -336,6 +944,7 @@ function setupTouchControls() {
     const steerLeft = document.getElementById('steerLeft');
     const steerRight = document.getElementById('steerRight');
     const brakeBtn = document.getElementById('brakeBtn');
+    const itemBtn = document.getElementById('itemBtn');
     
     // Left steering
     steerLeft.addEventListener('touchstart', (e) => {
@@ -381,11 +990,22 @@ function setupTouchControls() {
         brakeBtn.classList.remove('active');
     });
     
+    // Item button
+    itemBtn.addEventListener('touchstart', (e) => {
+        e.preventDefault();
+        pressItemButton(itemBtn);
+    });
+    
+    itemBtn.addEventListener('touchend', (e) => {
+        e.preventDefault();
+        releaseItemButton(itemBtn);
+    });
+    
     // Also support mouse for testing on desktop
-    setupMouseControls(steerLeft, steerRight, brakeBtn);
+    setupMouseControls(steerLeft, steerRight, brakeBtn, itemBtn);
 }
 
-function setupMouseControls(steerLeft, steerRight, brakeBtn) {
+function setupMouseControls(steerLeft, steerRight, brakeBtn, itemBtn) {
     // Left steering
     steerLeft.addEventListener('mousedown', () => {
         inputState.steering = -1;
@@ -433,6 +1053,23 @@ function setupMouseControls(steerLeft, steerRight, brakeBtn) {
         inputState.brake = false;
         brakeBtn.classList.remove('active');
     });
+    
+    // Item
+    itemBtn.addEventListener('mousedown', () => pressItemButton(itemBtn));
+    itemBtn.addEventListener('mouseup', () => releaseItemButton(itemBtn));
+    itemBtn.addEventListener('mouseleave', () => releaseItemButton(itemBtn));
+}
+
+function pressItemButton(itemBtn) {
+    itemButtonHeld = true;
+    inputState.useItem = true;
+    itemBtn.classList.add('active');
+}
+
+function releaseItemButton(itemBtn) {
+    // useItem is cleared after the next send so a quick tap still reaches the server
+    itemButtonHeld = false;
+    itemBtn.classList.remove('active');
 }
 
 // ============================================
@@ -447,6 +1084,13 @@ function setupMouseControls(steerLeft, steerRight, brakeBtn) {
 
 let inputBuffer = null;
 let latencyMonitor = null;
+let inputInterval = null;
+let raceCountdown = null;
+let connectionNoticeTimer = null;
+
+// Ratings bad enough to warn the racer about (the desktop flags the same ones)
+const WEAK_QUALITY = ['poor', 'bad'];
+const CONNECTION_NOTICE_TIME = 4000;
 
 function startSendingInputs() {
     // Initialize input buffer
@@ -454,21 +1098,11 @@ function startSendingInputs() {
         inputBuffer = new InputBuffer(60);
     }
     
-    // Initialize latency monitor
-    if (typeof LatencyMonitor !== 'undefined') {
-        latencyMonitor = new LatencyMonitor();
-        latencyMonitor.start(socket, 2000);
-        
-        // Update UI with latency info
-        latencyMonitor.onUpdate((stats) => {
-            updateLatencyDisplay(stats);
-        });
-    }
-
     // Send inputs at 60Hz (every ~16ms)
     inputInterval = setInterval(() => {
         if (socket && roomCode) {
-            inputState.timestamp = Date.now();
+            // Stamped on the server's timeline so the server can compare it with its own clock
+            inputState.timestamp = latencyMonitor ? latencyMonitor.getServerTime() : Date.now();
             
             // Add to buffer and get sequenced input
             let sequencedInput = inputState;
@@ -487,6 +1121,10 @@ function startSendingInputs() {
                 input: inputState,
                 sequence: sequencedInput.sequence || 0
             });
+            
+            if (!itemButtonHeld) {
+                inputState.useItem = false;
+            }
         }
     }, 16); // ~60Hz
 }
@@ -512,14 +1150,74 @@ function updateLatencyDisplay(stats) {
         document.body.appendChild(latencyEl);
     }
     
+    const loss = stats.loss > 0 ? ` · ${Math.round(stats.loss * 100)}% loss` : '';
+    
     latencyEl.innerHTML = `
         <div style="color: ${stats.quality.color}">
-            📡 ${stats.average}ms ${stats.quality.label}
+            📡 ${stats.average}ms ${stats.quality.label}${loss}
         </div>
     `;
 }
 
 
+// Ping the server for the whole session (latency badge and clock offset)
+function startLatencyMonitor() {
+    if (typeof LatencyMonitor === 'undefined') return;
+    
+    if (!latencyMonitor) {
+        latencyMonitor = new LatencyMonitor();
+        
+        // Update UI with latency info, and let the screen know how our link is doing
+        latencyMonitor.onUpdate((stats) => {
+            updateLatencyDisplay(stats);
+            reportNetworkStats(stats);
+        });
+        
+        // Warn when our link gets weak enough to lag the buggy, and when it comes back
+        latencyMonitor.on('degraded', (change) => {
+            if (WEAK_QUALITY.includes(change.quality.rating)) {
+                showConnectionNotice(`📶 Weak connection (${change.quality.label}) - your buggy may lag`, true);
+            }
+        });
+        latencyMonitor.on('recovered', (change) => {
+            if (WEAK_QUALITY.includes(change.previous.rating) && !WEAK_QUALITY.includes(change.quality.rating)) {
+                showConnectionNotice(`📶 Connection back to ${change.quality.label}`, false);
+            }
+        });
+    }
+    
+    latencyMonitor.start(socket, 2000);
+}
+
+function showConnectionNotice(message, weak) {
+    const notice = document.getElementById('connectionNotice');
+    
+    notice.textContent = message;
+    notice.classList.toggle('weak', weak);
+    notice.style.display = 'block';
+    
+    clearTimeout(connectionNoticeTimer);
+    connectionNoticeTimer = setTimeout(() => {
+        notice.style.display = 'none';
+    }, CONNECTION_NOTICE_TIME);
+}
+
+// Racers' stats feed the network health panel on the desktop
+function reportNetworkStats(stats) {
+    if (!socket || !roomCode || isSpectator) return;
+    
+    socket.emit('networkStats', {
+        roomCode: roomCode,
+        stats: {
+            average: stats.average,
+            jitter: stats.jitter,
+            p95: stats.p95,
+            loss: stats.loss,
+            quality: stats.quality.rating
+        }
+    });
+}
+
 function stopSendingInputs() {
     if (inputInterval) {
         clearInterval(inputInterval);
@@ -538,15 +1236,138 @@ function updatePlayerInfo() {
     
     if (isHost) {
         document.getElementById('playerRoleDisplay').textContent = '👑 Host';
-        document.getElementById('hostControls').style.display = 'block';
         
         // Select first map and mode by default
         document.querySelector('.map-option').classList.add('selected');
         document.querySelector('.mode-option').classList.add('selected');
     } else {
         document.getElementById('playerRoleDisplay').textContent = '🎮 Player';
-        document.getElementById('hostControls').style.display = 'none';
     }
+    
+    updateHostControls();
+}
+
+// Players are renumbered when a slot is released (held until the race is over)
+function syncOwnSlot(players) {
+    const me = players.find(p => p.socketId === socket.id);
+    if (me && (me.playerNumber !== playerNumber || me.isHost !== isHost)) {
+        playerNumber = me.playerNumber;
+        isHost = me.isHost;
+        updatePlayerInfo();
+    }
+}
+
+// Host settings only apply while the lobby is being set up
+function updateHostControls() {
+    const phases = GAME_CONSTANTS.LOBBY.PHASES;
+    const settingUp = roomPhase === phases.WAITING || roomPhase === phases.SETUP;
+    
+    document.getElementById('hostControls').style.display = isHost && settingUp ? 'block' : 'none';
+}
+
+function updateRaceHud(state) {
+    if (!state || !state.players) return;
+    
+    const me = state.players.find(p => p.playerNumber === playerNumber);
+    if (!me) return;
+    
+    updateHeldItem(me.heldItem);
+    updateDriftCharge(me);
+    
+    // Battle arena swaps position/lap for health/score
+    if (state.gameMode === GAME_CONSTANTS.GAME_MODES.BATTLE) {
+        const respawn = state.modeState.respawns.find(r => r.playerNumber === playerNumber);
+        
+        document.getElementById('racePositionLabel').textContent = 'Health:';
+        document.getElementById('racePosition').textContent = me.alive ?
+            `❤️ ${me.health}` : `💀 ${Math.ceil(respawn.respawnIn / 1000)}s`;
+        document.getElementById('currentLapLabel').textContent = 'Score:';
+        document.getElementById('currentLap').textContent = `${me.score} (${me.kills}/${me.deaths})`;
+        return;
+    }
+    
+    document.getElementById('racePositionLabel').textContent = 'Position:';
+    document.getElementById('racePosition').textContent = formatOrdinal(me.racePosition);
+    document.getElementById('currentLapLabel').textContent = 'Lap:';
+    document.getElementById('currentLap').textContent = formatLap(me, state);
+}
+
+function updateHeldItem(item) {
+    const display = ITEM_DISPLAY[item];
+    
+    document.getElementById('itemIcon').textContent = display ? display.icon : '❔';
+    document.getElementById('itemLabel').textContent = display ? display.label : 'NO ITEM';
+    document.getElementById('itemBtn').classList.toggle('empty', !display);
+}
+
+function updateDriftCharge(player) {
+    const brakeBtn = document.getElementById('brakeBtn');
+    const tier = player.drifting ? player.driftTier : 0;
+    
+    if (tier > lastDriftTier && navigator.vibrate) {
+        navigator.vibrate(30 * tier);
+    }
+    lastDriftTier = tier;
+    
+    brakeBtn.classList.toggle('drifting', Boolean(player.drifting));
+    [1, 2, 3].forEach(t => brakeBtn.classList.toggle(`drift-tier-${t}`, tier === t));
+}
+
+function formatLap(player, state) {
+    // Elimination laps are open-ended
+    if (state.gameMode === GAME_CONSTANTS.GAME_MODES.ELIMINATION) {
+        return `${player.currentLap}`;
+    }
+    return `${Math.min(player.currentLap, state.maxLaps)}/${state.maxLaps}`;
+}
+
+function showSpectatorView(title, message) {
+    document.getElementById('spectatorTitle').textContent = title;
+    document.getElementById('spectatorMessage').textContent = message;
+    showScreen('spectator');
+}
+
+function updateSpectatorStandings(state) {
+    if (!state || !state.players || !screens.spectator.classList.contains('active')) return;
+    
+    const list = document.getElementById('spectatorStandings');
+    const standings = [...state.players].sort((a, b) => a.racePosition - b.racePosition);
+    
+    list.innerHTML = '';
+    standings.forEach(p => {
+        const lobbyPlayer = lobbyPlayers.find(lp => lp.playerNumber === p.playerNumber);
+        const item = document.createElement('li');
+        
+        item.classList.toggle('self', p.playerNumber === playerNumber);
+        item.classList.toggle('eliminated', Boolean(p.eliminated));
+        
+        const name = document.createElement('span');
+        name.textContent = `${formatOrdinal(p.racePosition)} ${lobbyPlayer ? lobbyPlayer.playerName : 'Player ' + p.playerNumber}`;
+        
+        const lap = document.createElement('span');
+        lap.textContent = p.finished ? '🏁' : `Lap ${formatLap(p, state)}`;
+        
+        item.appendChild(name);
+        item.appendChild(lap);
+        list.appendChild(item);
+    });
+}
+
+function updateConnectedPlayersInfo() {
+    document.getElementById('connectedPlayersInfo').textContent = 
+        `Players connected: ${lobbyPlayers.length}/${maxPlayers}`;
+    document.getElementById('maxPlayersSelect').value = maxPlayers;
+}
+
+function updateSpectatorCount(count) {
+    document.getElementById('spectatorCount').textContent = count > 0 ? `👀 ${count} watching` : '';
+}
+
+function formatOrdinal(position) {
+    const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+    const lastTwo = position % 100;
+    const suffix = (lastTwo >= 11 && lastTwo <= 13) ? 'th' : (suffixes[position % 10] || 'th');
+    return `${position}${suffix}`;
 }
 
 function showError(message) {
@@ -563,18 +1384,27 @@ function showLoading(show) {
     document.getElementById('mobileLoading').style.display = show ? 'flex' : 'none';
 }
 
-function showCountdown(seconds) {
-    // This will be enhanced later with visual countdown
-    console.log(`Game starting in ${seconds} seconds...`);
+// Count down to the server's start time, GO lands with the desktop and the other phones
+function showCountdown(startAt) {
+    if (!raceCountdown) {
+        raceCountdown = new RaceCountdown(document.getElementById('raceCountdown'));
+    }
+    
+    const clockOffset = latencyMonitor ? latencyMonitor.getClockOffset() : 0;
+    
+    raceCountdown.start(startAt, clockOffset, () => {
+        if (navigator.vibrate) {
+            navigator.vibrate(200);
+        }
+    });
 }
 
 // ============================================
 // CLEANUP
 // ============================================
 
+// The socket is left to drop on unload (rather than disconnected on purpose)
+// so the server holds the slot and a refreshed page can resume it
 window.addEventListener('beforeunload', () => {
     stopSendingInputs();
-    if (socket) {
-        socket.disconnect();
-    }
 });
@@ -0,0 +1,158 @@
+// public/js/game/raceView.js
+
+/**
+ * Race View
+ * Top-down drawing of the track and buggies from the server's snapshots
+ *
+ * The track is scaled to fit the canvas with +z pointing up the screen.
+ * A time trial's best-lap ghost is drawn as a see-through buggy; the server
+ * never simulates it, so it drives straight through the runner.
+ */
+class RaceView {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+        this.track = null;
+        this.bounds = null;
+    }
+
+    /**
+     * Draw one snapshot
+     */
+    draw(state) {
+        if (!this.track || this.track.id !== state.trackId) {
+            this.setTrack(TrackCatalog.getTrack(state.trackId));
+        }
+
+        const context = this.context;
+        context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+        this.drawTrack();
+
+        const ghost = state.modeState && state.modeState.ghost;
+        if (ghost) {
+            this.drawBuggy(ghost.position, ghost.rotation.y, RaceView.GHOST_COLOR, RaceView.GHOST_ALPHA);
+        }
+
+        state.players.forEach(player => {
+            const color = RaceView.PLAYER_COLORS[(player.playerNumber - 1) % RaceView.PLAYER_COLORS.length];
+            const alpha = player.retired || player.eliminated ? RaceView.GHOST_ALPHA : 1;
+            this.drawBuggy(player.position, player.rotation.y, color, alpha, player.playerNumber);
+        });
+    }
+
+    /**
+     * Fit a track's checkpoints into the canvas
+     */
+    setTrack(track) {
+        const points = track.checkpoints.map(c => c.center);
+        const margin = RaceView.TRACK_MARGIN;
+
+        this.track = track;
+        this.bounds = {
+            minX: Math.min(...points.map(p => p.x)) - margin,
+            maxX: Math.max(...points.map(p => p.x)) + margin,
+            minZ: Math.min(...points.map(p => p.z)) - margin,
+            maxZ: Math.max(...points.map(p => p.z)) + margin
+        };
+    }
+
+    /**
+     * Canvas pixels per world unit
+     */
+    getScale() {
+        const bounds = this.bounds;
+        return Math.min(
+            this.canvas.width / (bounds.maxX - bounds.minX),
+            this.canvas.height / (bounds.maxZ - bounds.minZ)
+        );
+    }
+
+    /**
+     * World ground position to canvas pixels
+     */
+    toCanvas(position) {
+        const scale = this.getScale();
+        const bounds = this.bounds;
+
+        return {
+            x: (position.x - bounds.minX) * scale,
+            y: this.canvas.height - (position.z - bounds.minZ) * scale
+        };
+    }
+
+    /**
+     * Draw the loop through the checkpoints, with the start/finish line marked
+     */
+    drawTrack() {
+        const context = this.context;
+        const points = this.track.checkpoints.map(c => this.toCanvas(c.center));
+
+        context.save();
+        context.strokeStyle = RaceView.TRACK_COLOR;
+        context.lineWidth = RaceView.TRACK_WIDTH * this.getScale();
+        context.lineJoin = 'round';
+        context.beginPath();
+        points.forEach((point, index) => {
+            if (index === 0) {
+                context.moveTo(point.x, point.y);
+            } else {
+                context.lineTo(point.x, point.y);
+            }
+        });
+        context.closePath();
+        context.stroke();
+
+        context.fillStyle = RaceView.FINISH_COLOR;
+        context.fillRect(points[0].x - 12, points[0].y - 3, 24, 6);
+        context.restore();
+    }
+
+    /**
+     * Draw a buggy as an arrow facing its heading (heading 0 faces +z, up the screen)
+     */
+    drawBuggy(position, heading, color, alpha, label = null) {
+        const context = this.context;
+        const point = this.toCanvas(position);
+        const size = RaceView.BUGGY_SIZE;
+
+        context.save();
+        context.globalAlpha = alpha;
+        context.translate(point.x, point.y);
+        context.rotate(heading);
+
+        context.fillStyle = color;
+        context.beginPath();
+        context.moveTo(0, -size);
+        context.lineTo(size * 0.6, size * 0.7);
+        context.lineTo(-size * 0.6, size * 0.7);
+        context.closePath();
+        context.fill();
+        context.restore();
+
+        if (label !== null) {
+            context.save();
+            context.globalAlpha = alpha;
+            context.fillStyle = RaceView.LABEL_COLOR;
+            context.font = 'bold 12px sans-serif';
+            context.textAlign = 'center';
+            context.fillText(`P${label}`, point.x, point.y - size - 4);
+            context.restore();
+        }
+    }
+}
+
+RaceView.PLAYER_COLORS = ['#ff6b35', '#4ecdc4', '#ffd93d', '#9b5de5', '#00bbf9', '#f15bb5', '#4caf50', '#ff5252'];
+RaceView.GHOST_COLOR = '#ffffff';
+RaceView.GHOST_ALPHA = 0.35;
+RaceView.TRACK_COLOR = 'rgba(255, 255, 255, 0.15)';
+RaceView.FINISH_COLOR = '#ffffff';
+RaceView.LABEL_COLOR = '#ffffff';
+RaceView.TRACK_WIDTH = 40; // World units
+RaceView.TRACK_MARGIN = 60; // World units around the outermost checkpoints
+RaceView.BUGGY_SIZE = 10; // Pixels
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RaceView;
+}
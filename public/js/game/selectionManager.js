@@ -12,7 +12,6 @@ class SelectionManager {
         this.selectedGameMode = 'race';
         this.playerSelections = new Map(); // playerNumber -> selectedCar
         this.currentSelectingPlayer = 1;
-        this.selectionPhase = 'waiting'; // 'waiting', 'map', 'cars', 'ready'
         
         this.setupEventListeners();
     }
@@ -42,7 +41,6 @@ class SelectionManager {
             
             // Check if all players have selected
             if (this.allPlayersSelected(data.players)) {
-                this.selectionPhase = 'ready';
                 this.showReadyToStart();
             } else {
                 // Move to next player
@@ -55,14 +53,19 @@ class SelectionManager {
     }
 
     /**
-     * Start selection phase
+     * Start selection phase (the room's phase is owned by the server)
      */
-    startSelection(playerCount) {
-        this.selectionPhase = 'cars';
-        this.currentSelectingPlayer = 1;
+    startSelection(players) {
+        this.showCarSelectionUI(players.length);
         
-        // Show car selection UI
-        this.showCarSelectionUI(playerCount);
+        // Bots and racers keeping their car from the last race are already done
+        if (this.allPlayersSelected(players)) {
+            this.showReadyToStart();
+        } else {
+            this.showWaitingForSelections();
+            this.currentSelectingPlayer = this.getNextSelectingPlayer(players);
+            this.highlightCurrentPlayer();
+        }
     }
 
     /**
@@ -188,6 +191,22 @@ class SelectionManager {
         }
     }
 
+    /**
+     * Reset the start button while racers are still choosing
+     */
+    showWaitingForSelections() {
+        const instructionEl = document.getElementById('selectionInstruction');
+        if (instructionEl) {
+            instructionEl.style.color = '';
+        }
+
+        const startBtn = document.getElementById('finalStartBtn');
+        if (startBtn) {
+            startBtn.disabled = true;
+            startBtn.textContent = 'Waiting for selections...';
+        }
+    }
+
     /**
      * Get map data by ID
      */
@@ -253,40 +272,7 @@ class SelectionManager {
      * Get car data by ID
      */
     getCarData(carId) {
-        const cars = {
-            speedster: {
-                name: 'Speedster',
-                image: 'assets/cars/speedster.png',
-                stats: { speed: 95, handling: 70, acceleration: 80 }
-            },
-            crusher: {
-                name: 'Crusher',
-                image: 'assets/cars/crusher.png',
-                stats: { speed: 70, handling: 60, acceleration: 85 }
-            },
-            drifter: {
-                name: 'Drifter',
-                image: 'assets/cars/drifter.png',
-                stats: { speed: 80, handling: 95, acceleration: 75 }
-            },
-            balanced: {
-                name: 'All-Rounder',
-                image: 'assets/cars/balanced.png',
-                stats: { speed: 80, handling: 80, acceleration: 80 }
-            },
-            rocket: {
-                name: 'Rocket',
-                image: 'assets/cars/rocket.png',
-                stats: { speed: 100, handling: 65, acceleration: 90 }
-            },
-            tank: {
-                name: 'Tank',
-                image: 'assets/cars/tank.png',
-                stats: { speed: 65, handling: 70, acceleration: 70 }
-            }
-        };
-        
-        return cars[carId] || cars.balanced;
+        return CarCatalog.getCar(carId);
     }
 }
 
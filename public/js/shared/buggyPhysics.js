@@ -0,0 +1,198 @@
+// public/js/shared/buggyPhysics.js
+
+/**
+ * Buggy Physics
+ * Deterministic kinematic car model shared by the server simulation,
+ * client-side prediction and tests
+ *
+ * Only IEEE-exact operations (+, -, *, /, Math.round/floor/min/max) are used,
+ * so the same inputs produce the same numbers in Node and every browser.
+ */
+
+class BuggyPhysics {
+    constructor(params = {}) {
+        this.params = { ...BuggyPhysics.getDefaultParams(), ...params };
+    }
+
+    /**
+     * Get default vehicle parameters from GAME_CONSTANTS.PHYSICS
+     */
+    static getDefaultParams() {
+        const constants = typeof GAME_CONSTANTS !== 'undefined' ? GAME_CONSTANTS : require('./constants');
+        const physics = constants.PHYSICS;
+
+        return {
+            gravity: physics.GRAVITY,
+            maxSpeed: physics.MAX_SPEED,
+            acceleration: physics.ACCELERATION,
+            brakeForce: physics.BRAKE_FORCE,
+            steeringSpeed: physics.STEERING_SPEED,
+            boostMultiplier: physics.BOOST_MULTIPLIER,
+            driftMinSpeed: physics.DRIFT_MIN_SPEED,
+            driftSteerThreshold: physics.DRIFT_STEER_THRESHOLD,
+            driftDeceleration: physics.DRIFT_DECELERATION,
+            driftSteerMultiplier: physics.DRIFT_STEER_MULTIPLIER,
+            driftTiers: physics.DRIFT_TIERS,
+            driftBoost: physics.DRIFT_BOOST
+        };
+    }
+
+    /**
+     * Create a resting vehicle state
+     */
+    static createState(position = { x: 0, y: 0, z: 0 }, heading = 0) {
+        return {
+            position: { x: position.x, y: position.y, z: position.z },
+            rotation: { x: 0, y: BuggyPhysics.wrapAngle(heading), z: 0 },
+            velocity: { x: 0, y: 0, z: 0 },
+            speed: 0,
+            boostTime: 0,
+            drifting: false,
+            driftTime: 0,
+            driftTier: 0
+        };
+    }
+
+    /**
+     * Advance a vehicle state by one fixed step
+     * Throttle is automatic; input is { steering: -1..1, brake: boolean }.
+     * Positive steering turns right (clockwise seen from above).
+     * While state.boostTime (seconds) is above zero top speed and acceleration are boosted.
+     * Braking while steering hard at speed starts a drift that charges through
+     * boost tiers; letting go of the brake fires the boost for the tier reached.
+     * Returns a new state, the one passed in is not modified.
+     */
+    step(state, input, dt) {
+        const params = this.params;
+        const steering = Math.max(-1, Math.min(1, Number(input && input.steering) || 0));
+        const brake = Boolean(input && input.brake);
+
+        // Drifts last while the brake is held and the buggy keeps its speed up
+        const wasDrifting = Boolean(state.drifting);
+        const canDrift = brake && (state.speed || 0) >= params.driftMinSpeed;
+        const drifting = wasDrifting ? canDrift : canDrift && Math.abs(steering) >= params.driftSteerThreshold;
+        const driftTime = drifting ? (state.driftTime || 0) + dt : 0;
+
+        // Boost raises the speed cap; the extra speed bleeds off at brake force once it ends
+        let boostTime = Math.max(0, (state.boostTime || 0) - dt);
+        const boosting = (state.boostTime || 0) > 0;
+        const maxSpeed = boosting ? params.maxSpeed * params.boostMultiplier : params.maxSpeed;
+        const acceleration = boosting ? params.acceleration * params.boostMultiplier : params.acceleration;
+
+        // Releasing the brake out of a drift fires the charged boost
+        if (wasDrifting && !brake) {
+            const tier = this.getDriftTier(state.driftTime || 0);
+            if (tier > 0) {
+                boostTime = Math.max(boostTime, params.driftBoost[tier - 1]);
+            }
+        }
+
+        // Forward speed
+        let speed = state.speed || 0;
+        if (drifting) {
+            speed -= params.driftDeceleration * dt;
+        } else if (brake) {
+            speed -= params.brakeForce * dt;
+        } else if (speed > maxSpeed) {
+            speed = Math.max(maxSpeed, speed - params.brakeForce * dt);
+        } else {
+            speed = Math.min(maxSpeed, speed + acceleration * dt);
+        }
+        speed = Math.max(0, speed);
+
+        // Steering only bites once the buggy is moving
+        const steeringGrip = Math.min(1, speed / (params.maxSpeed * 0.1));
+        const steeringSpeed = drifting ? params.steeringSpeed * params.driftSteerMultiplier : params.steeringSpeed;
+        const heading = BuggyPhysics.wrapAngle(
+            state.rotation.y - steering * steeringSpeed * steeringGrip * dt
+        );
+
+        // Vertical motion with a flat ground plane at y = 0
+        let verticalVelocity = state.velocity.y + params.gravity * dt;
+        let y = state.position.y + verticalVelocity * dt;
+        if (y <= 0) {
+            y = 0;
+            verticalVelocity = 0;
+        }
+
+        const velocityX = BuggyPhysics.sin(heading) * speed;
+        const velocityZ = BuggyPhysics.cos(heading) * speed;
+
+        return {
+            position: {
+                x: BuggyPhysics.round(state.position.x + velocityX * dt),
+                y: BuggyPhysics.round(y),
+                z: BuggyPhysics.round(state.position.z + velocityZ * dt)
+            },
+            rotation: {
+                x: 0,
+                y: BuggyPhysics.round(heading),
+                z: 0
+            },
+            velocity: {
+                x: BuggyPhysics.round(velocityX),
+                y: BuggyPhysics.round(verticalVelocity),
+                z: BuggyPhysics.round(velocityZ)
+            },
+            speed: BuggyPhysics.round(speed),
+            boostTime: BuggyPhysics.round(boostTime),
+            drifting: drifting,
+            driftTime: BuggyPhysics.round(driftTime),
+            driftTier: this.getDriftTier(driftTime)
+        };
+    }
+
+    /**
+     * Get the boost tier (0 = none) a drift of this many seconds has charged
+     */
+    getDriftTier(driftTime) {
+        return this.params.driftTiers.filter(threshold => driftTime >= threshold).length;
+    }
+
+    /**
+     * Round to the shared state precision
+     */
+    static round(value) {
+        return Math.round(value * BuggyPhysics.PRECISION) / BuggyPhysics.PRECISION;
+    }
+
+    /**
+     * Wrap an angle into [-PI, PI)
+     */
+    static wrapAngle(angle) {
+        return angle - Math.PI * 2 * Math.floor((angle + Math.PI) / (Math.PI * 2));
+    }
+
+    /**
+     * Deterministic sine (Math.sin may differ between JS engines)
+     */
+    static sin(angle) {
+        let x = BuggyPhysics.wrapAngle(angle);
+
+        // Fold into [-PI/2, PI/2] where the series converges quickly
+        if (x > Math.PI / 2) {
+            x = Math.PI - x;
+        } else if (x < -Math.PI / 2) {
+            x = -Math.PI - x;
+        }
+
+        // Taylor series to the x^13 term (error < 1e-9 on this range)
+        const x2 = x * x;
+        return x * (1 - x2 / 6 * (1 - x2 / 20 * (1 - x2 / 42 * (1 - x2 / 72 * (1 - x2 / 110 * (1 - x2 / 156))))));
+    }
+
+    /**
+     * Deterministic cosine
+     */
+    static cos(angle) {
+        return BuggyPhysics.sin(angle + Math.PI / 2);
+    }
+}
+
+// State is rounded to 4 decimal places after every step
+BuggyPhysics.PRECISION = 10000;
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BuggyPhysics;
+}
@@ -0,0 +1,98 @@
+// public/js/shared/carCatalog.js
+
+/**
+ * Car Catalog
+ * Vehicle definitions shared by the selection screens and the server simulation
+ */
+const CarCatalog = {
+    DEFAULT_CAR: 'balanced',
+
+    // Stat value that drives exactly the base GAME_CONSTANTS.PHYSICS values
+    BASELINE_STAT: 80,
+
+    cars: {
+        speedster: {
+            name: 'Speedster',
+            image: 'assets/cars/speedster.png',
+            stats: { speed: 95, handling: 70, acceleration: 80 }
+        },
+        crusher: {
+            name: 'Crusher',
+            image: 'assets/cars/crusher.png',
+            stats: { speed: 70, handling: 60, acceleration: 85 }
+        },
+        drifter: {
+            name: 'Drifter',
+            image: 'assets/cars/drifter.png',
+            stats: { speed: 80, handling: 95, acceleration: 75 }
+        },
+        balanced: {
+            name: 'All-Rounder',
+            image: 'assets/cars/balanced.png',
+            stats: { speed: 80, handling: 80, acceleration: 80 }
+        },
+        rocket: {
+            name: 'Rocket',
+            image: 'assets/cars/rocket.png',
+            stats: { speed: 100, handling: 65, acceleration: 90 }
+        },
+        tank: {
+            name: 'Tank',
+            image: 'assets/cars/tank.png',
+            stats: { speed: 65, handling: 70, acceleration: 70 }
+        }
+    },
+
+    /**
+     * Get car data by ID (falls back to the default car)
+     */
+    getCar(carId) {
+        return this.cars[carId] || this.cars[this.DEFAULT_CAR];
+    },
+
+    /**
+     * Check if a car ID exists in the catalog
+     */
+    isValidCar(carId) {
+        return Object.prototype.hasOwnProperty.call(this.cars, carId);
+    },
+
+    /**
+     * Get all car IDs
+     */
+    getCarIds() {
+        return Object.keys(this.cars);
+    },
+
+    /**
+     * Get physics multipliers for a car (1.0 = baseline)
+     */
+    getMultipliers(carId) {
+        const stats = this.getCar(carId).stats;
+
+        return {
+            speed: stats.speed / this.BASELINE_STAT,
+            handling: stats.handling / this.BASELINE_STAT,
+            acceleration: stats.acceleration / this.BASELINE_STAT
+        };
+    },
+
+    /**
+     * Scale base vehicle physics params by a car's stats
+     */
+    getPhysicsParams(carId, baseParams) {
+        const multipliers = this.getMultipliers(carId);
+
+        return {
+            ...baseParams,
+            maxSpeed: baseParams.maxSpeed * multipliers.speed,
+            acceleration: baseParams.acceleration * multipliers.acceleration,
+            steeringSpeed: baseParams.steeringSpeed * multipliers.handling
+        };
+    }
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CarCatalog;
+}
@@ -2,8 +2,11 @@
 
 // Game constants shared between client and server
 const GAME_CONSTANTS = {
-    MAX_PLAYERS: 4,
+    MAX_PLAYERS: 4, // Default racer cap for a new room
+    MAX_PLAYERS_LIMIT: 8, // Highest racer cap a host can choose
     MIN_PLAYERS: 1,
+    MAX_SPECTATORS: 20, // Watching devices per room, separate from the racers
+    PLAYER_NAME_MAX_LENGTH: 15,
     
     // Game modes
     GAME_MODES: {
@@ -13,6 +16,29 @@ const GAME_CONSTANTS = {
         BATTLE: 'battle'
     },
     
+    // Bot driver difficulties
+    BOT_DIFFICULTIES: {
+        EASY: 'easy',
+        MEDIUM: 'medium',
+        HARD: 'hard'
+    },
+    
+    // Lobby flow (the server's Room owns the current phase)
+    LOBBY: {
+        PHASES: {
+            WAITING: 'waiting', // No racers yet
+            SETUP: 'setup', // Host picks the track and mode
+            CAR_SELECTION: 'carSelection',
+            COUNTDOWN: 'countdown',
+            RACING: 'racing',
+            RESULTS: 'results'
+        },
+        RESULTS_DURATION: 15000, // Milliseconds on the results before the room returns to the lobby
+        AUTO_START_DELAY: 5000, // Milliseconds between everyone being ready and the race starting
+        COUNTDOWN_DURATION: 3000, // 3-2-1 before GO
+        FALSE_START_PENALTY: 2000 // Milliseconds a buggy is held on the grid after GO for touching the controls early
+    },
+    
     // Maps
     MAPS: {
         BEACH: 'beach',
@@ -25,7 +51,12 @@ const GAME_CONSTANTS = {
     // Network settings
     NETWORK: {
         UPDATE_RATE: 60, // Server updates per second
-        TICK_RATE: 1000 / 60 // Milliseconds per tick
+        TICK_RATE: 1000 / 60, // Milliseconds per tick
+        SNAPSHOT_RATE: 20, // Game state snapshots broadcast per second
+        SESSION_GRACE_PERIOD: 30000, // Milliseconds a dropped controller's slot is held
+        HOST_RECLAIM_WINDOW: 60000, // Milliseconds a room waits for its desktop to come back
+        HEALTH_INTERVAL: 3000, // Milliseconds between server round-trip checks (and health reports to the screen)
+        PING_TIMEOUT: 3000 // Milliseconds before an unanswered serverPing counts as lost
     },
     
     // Physics settings
@@ -34,7 +65,57 @@ const GAME_CONSTANTS = {
         MAX_SPEED: 100,
         ACCELERATION: 20,
         BRAKE_FORCE: 30,
-        STEERING_SPEED: 2
+        STEERING_SPEED: 2,
+        BOOST_MULTIPLIER: 1.5, // Top speed and acceleration multiplier while boosting
+        DRIFT_MIN_SPEED: 40, // Braking while steering above this speed drifts instead
+        DRIFT_STEER_THRESHOLD: 0.5, // Steering needed to start a drift
+        DRIFT_DECELERATION: 8, // Speed lost per second while drifting
+        DRIFT_STEER_MULTIPLIER: 1.4,
+        DRIFT_TIERS: [1, 2, 3], // Seconds of drifting to reach each boost tier
+        DRIFT_BOOST: [0.5, 1, 1.5] // Seconds of boost fired on release at each tier
+    },
+    
+    // Time trial settings
+    TIME_TRIAL: {
+        MAX_LAP_TIME: 300000 // Milliseconds a lap may take before the run is called off (caps the ghost recording)
+    },
+    
+    // Battle arena settings
+    BATTLE: {
+        MAX_HEALTH: 100,
+        MATCH_DURATION: 180000, // Milliseconds per match
+        RESPAWN_TIME: 3000, // Milliseconds before a destroyed buggy returns
+        SPAWN_PROTECTION: 2000, // Milliseconds of invulnerability after respawning
+        KILL_SCORE: 100,
+        COLLISION_RADIUS: 4, // Buggies closer than this are colliding
+        COLLISION_DAMAGE: 0.4, // Damage per unit of the other buggy's speed
+        COLLISION_COOLDOWN: 500, // Milliseconds before the same pair can collide again
+        PICKUP_RADIUS: 6,
+        PICKUP_RESPAWN: 10000, // Milliseconds before a weapon pickup returns
+        SHOCKWAVE_RADIUS: 40,
+        SHOCKWAVE_DAMAGE: 35
+    },
+    
+    // Power-up settings
+    POWER_UPS: {
+        ITEMS: {
+            BOOST: 'boost',
+            OIL_SLICK: 'oilSlick',
+            HOMING_SHOT: 'homingShot',
+            SHIELD: 'shield'
+        },
+        BOX_RADIUS: 5, // Pickup distance for item boxes
+        BOX_RESPAWN: 8000, // Milliseconds before a collected box returns
+        BOOST_DURATION: 2000,
+        SPINOUT_DURATION: 1500, // Milliseconds a hit buggy loses control
+        SHIELD_DURATION: 8000,
+        OIL_SLICK_LIFETIME: 20000,
+        OIL_SLICK_RADIUS: 5,
+        OIL_SLICK_ARM_TIME: 1000, // Milliseconds before the dropper can hit their own slick
+        HOMING_SPEED: 160, // Units per second
+        HOMING_LIFETIME: 5000,
+        HOMING_HIT_RADIUS: 4,
+        HOMING_DAMAGE: 30 // Battle arena damage per homing shot hit
     }
 };
 
@@ -167,6 +167,7 @@ class InputValidator {
                 this.constraints.steering.max
             ),
             brake: Boolean(input.brake),
+            useItem: Boolean(input.useItem),
             timestamp: input.timestamp || Date.now()
         };
     }
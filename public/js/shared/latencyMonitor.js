@@ -3,17 +3,44 @@
 /**
  * Latency Monitor
  * Tracks network latency and provides statistics
+ *
+ * Also estimates the server's clock NTP-style: each ping reply carries the
+ * server's time, which is compared with the midpoint of the round trip. Only
+ * the fastest round trips are trusted (slow ones hide asymmetric delays), and
+ * a line fitted through them gives the drift between the two clocks.
+ *
+ * Pings that get no reply within pingTimeout count as lost. Quality is rated
+ * on average latency, jitter and loss together (the worst of the three), and
+ * listeners are told when it gets worse ('degraded') or better ('recovered').
  */
 class LatencyMonitor {
-    constructor() {
+    constructor(options = {}) {
+        this.logging = options.logging !== false; // Log every ping (the server keeps one per socket, quietly)
         this.pings = [];
-        this.maxSamples = 30; // Keep last 30 ping samples
+        this.maxSamples = 100; // Keep last 100 ping samples (enough for a p99)
+        this.outcomes = []; // true per answered ping, false per lost one (last maxSamples)
+        this.pingTimeout = 3000; // Milliseconds before an unanswered ping counts as lost
         this.currentLatency = 0;
         this.averageLatency = 0;
         this.jitter = 0; // Variance in latency
+        this.percentiles = { p50: 0, p95: 0, p99: 0 };
+        this.lossRate = 0; // Share of recent pings that were lost
+        this.spikes = []; // Times of recent latency spikes
+        this.spikeWindow = 30000; // Milliseconds a spike stays in the stats
+        this.spikeFactor = 2; // A spike is this many times the median...
+        this.spikeMinDelta = 50; // ...and at least this many milliseconds above it
+        this.qualityLevel = null; // Index into QUALITY_LEVELS at the last update
+        this.clockSamples = []; // { time, offset, rtt } per answered ping
+        this.maxClockSamples = 30;
+        this.bestSampleShare = 0.25; // Fraction of samples (lowest RTT first) the estimate uses
+        this.minDriftSpan = 10000; // Milliseconds the best samples must cover before drift is fitted
+        this.maxDrift = 0.001; // Cap on drift (1000ppm), anything above is noise
+        this.clockOffset = 0; // Server clock minus ours at clockReference
+        this.clockReference = 0; // Local time the offset was estimated for
+        this.clockDrift = 0; // Milliseconds the offset changes per local millisecond
         this.lastPingTime = 0;
         this.pingInterval = null;
-        this.updateCallbacks = [];
+        this.listeners = {}; // Event name -> callbacks ('update', 'spike', 'degraded', 'recovered')
     }
 
     /**
@@ -57,10 +84,19 @@ class LatencyMonitor {
         const startTime = Date.now();
         this.lastPingTime = startTime;
 
-        socket.emit('ping', { clientTime: startTime }, (response) => {
+        socket.timeout(this.pingTimeout).emit('ping', { clientTime: startTime }, (error, response) => {
+            if (error) {
+                this.recordLoss();
+                return;
+            }
+
             const endTime = Date.now();
             const roundTripTime = endTime - startTime;
 
+            if (response && typeof response.serverTime === 'number') {
+                this.recordClockSample(startTime, endTime, response.serverTime);
+            }
+
             this.recordPing(roundTripTime);
         });
     }
@@ -69,27 +105,129 @@ class LatencyMonitor {
      * Record ping result
      */
     recordPing(latency) {
+        const spike = this.isSpike(latency);
+
         this.currentLatency = latency;
         this.pings.push(latency);
+        this.recordOutcome(true);
 
         // Maintain sample size
         if (this.pings.length > this.maxSamples) {
             this.pings.shift();
         }
 
+        if (spike) {
+            this.spikes.push(Date.now());
+            this.emit('spike', { latency: latency, median: this.percentiles.p50 });
+        }
+
         // Calculate statistics
         this.calculateStats();
 
         // Notify callbacks
         this.notifyUpdate();
 
-        console.log(`[LatencyMonitor] Ping: ${latency}ms, Avg: ${this.averageLatency}ms, Jitter: ${this.jitter}ms`);
+        if (this.logging) {
+            console.log(`[LatencyMonitor] Ping: ${latency}ms, Avg: ${this.averageLatency}ms, Jitter: ${this.jitter}ms`);
+        }
+    }
+
+    /**
+     * Record a ping that was never answered
+     */
+    recordLoss() {
+        this.recordOutcome(false);
+        this.calculateStats();
+        this.notifyUpdate();
+
+        if (this.logging) {
+            console.warn(`[LatencyMonitor] Ping lost, Loss: ${Math.round(this.lossRate * 100)}%`);
+        }
+    }
+
+    /**
+     * Remember whether a ping was answered, for the loss rate
+     */
+    recordOutcome(answered) {
+        this.outcomes.push(answered);
+
+        if (this.outcomes.length > this.maxSamples) {
+            this.outcomes.shift();
+        }
+    }
+
+    /**
+     * Check if a round trip is far above the usual (needs a few samples to compare with)
+     */
+    isSpike(latency) {
+        if (this.pings.length < 5) return false;
+
+        const median = this.percentiles.p50;
+        return latency >= median * this.spikeFactor && latency - median >= this.spikeMinDelta;
+    }
+
+    /**
+     * Record the server's time for one round trip
+     * The server stamped its reply roughly halfway between sending and receiving
+     */
+    recordClockSample(startTime, endTime, serverTime) {
+        const midpoint = (startTime + endTime) / 2;
+
+        this.clockSamples.push({
+            time: midpoint,
+            offset: serverTime - midpoint,
+            rtt: endTime - startTime
+        });
+
+        if (this.clockSamples.length > this.maxClockSamples) {
+            this.clockSamples.shift();
+        }
+
+        this.estimateClock();
+    }
+
+    /**
+     * Fit offset and drift to the lowest-RTT samples
+     */
+    estimateClock() {
+        const count = Math.max(1, Math.ceil(this.clockSamples.length * this.bestSampleShare));
+        const best = [...this.clockSamples].sort((a, b) => a.rtt - b.rtt).slice(0, count);
+
+        const meanTime = best.reduce((sum, s) => sum + s.time, 0) / best.length;
+        const meanOffset = best.reduce((sum, s) => sum + s.offset, 0) / best.length;
+
+        // Least-squares slope of offset over local time
+        let drift = 0;
+        const times = best.map(s => s.time);
+
+        if (best.length >= 3 && Math.max(...times) - Math.min(...times) >= this.minDriftSpan) {
+            let covariance = 0;
+            let variance = 0;
+
+            best.forEach(s => {
+                covariance += (s.time - meanTime) * (s.offset - meanOffset);
+                variance += Math.pow(s.time - meanTime, 2);
+            });
+
+            drift = Math.max(-this.maxDrift, Math.min(this.maxDrift, covariance / variance));
+        }
+
+        this.clockOffset = meanOffset;
+        this.clockReference = meanTime;
+        this.clockDrift = drift;
     }
 
     /**
      * Calculate latency statistics
      */
     calculateStats() {
+        // Loss over the recent pings, answered or not
+        const lost = this.outcomes.filter(answered => !answered).length;
+        this.lossRate = this.outcomes.length > 0 ? lost / this.outcomes.length : 0;
+
+        const spikesSince = Date.now() - this.spikeWindow;
+        this.spikes = this.spikes.filter(time => time > spikesSince);
+
         if (this.pings.length === 0) return;
 
         // Average latency
@@ -102,6 +240,16 @@ class LatencyMonitor {
         }, 0) / this.pings.length;
         
         this.jitter = Math.round(Math.sqrt(variance));
+
+        // Nearest-rank percentiles
+        const sorted = [...this.pings].sort((a, b) => a - b);
+        const percentile = (p) => sorted[Math.min(sorted.length - 1, Math.ceil(p / 100 * sorted.length) - 1)];
+
+        this.percentiles = {
+            p50: percentile(50),
+            p95: percentile(95),
+            p99: percentile(99)
+        };
     }
 
     /**
@@ -125,21 +273,49 @@ class LatencyMonitor {
         return this.jitter;
     }
 
+    /**
+     * Get the server clock minus this device's clock in milliseconds
+     */
+    getClockOffset(now = Date.now()) {
+        return Math.round(this.clockOffset + this.clockDrift * (now - this.clockReference));
+    }
+
+    /**
+     * Get the current time on the server's clock
+     */
+    getServerTime(now = Date.now()) {
+        return now + this.getClockOffset(now);
+    }
+
+    /**
+     * Get packet loss (0-1) over the recent pings
+     */
+    getLossRate() {
+        return this.lossRate;
+    }
+
+    /**
+     * Get the quality level index (0 = excellent); the worst of latency, jitter and loss decides
+     */
+    getQualityLevel() {
+        const thresholds = LatencyMonitor.QUALITY_THRESHOLDS;
+        const levelFor = (value, limits) => {
+            const level = limits.findIndex(limit => value < limit);
+            return level === -1 ? limits.length : level;
+        };
+
+        return Math.max(
+            levelFor(this.averageLatency, thresholds.latency),
+            levelFor(this.jitter, thresholds.jitter),
+            levelFor(this.lossRate, thresholds.loss)
+        );
+    }
+
     /**
      * Get connection quality rating
      */
     getQuality() {
-        if (this.averageLatency < 50) {
-            return { rating: 'excellent', color: '#4caf50', label: 'Excellent' };
-        } else if (this.averageLatency < 100) {
-            return { rating: 'good', color: '#8bc34a', label: 'Good' };
-        } else if (this.averageLatency < 150) {
-            return { rating: 'fair', color: '#ff9800', label: 'Fair' };
-        } else if (this.averageLatency < 250) {
-            return { rating: 'poor', color: '#ff5722', label: 'Poor' };
-        } else {
-            return { rating: 'bad', color: '#f44336', label: 'Bad' };
-        }
+        return { ...LatencyMonitor.QUALITY_LEVELS[this.getQualityLevel()] };
     }
 
     /**
@@ -152,7 +328,15 @@ class LatencyMonitor {
             current: this.currentLatency,
             average: this.averageLatency,
             jitter: this.jitter,
+            p50: this.percentiles.p50,
+            p95: this.percentiles.p95,
+            p99: this.percentiles.p99,
+            loss: Math.round(this.lossRate * 1000) / 1000,
+            lost: this.outcomes.filter(answered => !answered).length,
+            spikes: this.spikes.length,
             samples: this.pings.length,
+            clockOffset: this.getClockOffset(),
+            clockDrift: Math.round(this.clockDrift * 1e6), // Parts per million
             quality: quality
         };
     }
@@ -161,179 +345,91 @@ class LatencyMonitor {
      * Register callback for latency updates
      */
     onUpdate(callback) {
+        this.on('update', callback);
+    }
+
+    /**
+     * Register callback for an event ('update', 'spike', 'degraded', 'recovered')
+     */
+    on(eventName, callback) {
         if (typeof callback === 'function') {
-            this.updateCallbacks.push(callback);
+            (this.listeners[eventName] = this.listeners[eventName] || []).push(callback);
         }
     }
 
     /**
-     * Notify all registered callbacks
+     * Call every callback registered for an event
      */
-    notifyUpdate() {
-        const stats = this.getStats();
-        this.updateCallbacks.forEach(callback => {
+    emit(eventName, data) {
+        (this.listeners[eventName] || []).forEach(callback => {
             try {
-                callback(stats);
+                callback(data);
             } catch (error) {
                 console.error('[LatencyMonitor] Error in callback:', error);
             }
         });
     }
 
+    /**
+     * Notify all registered callbacks, and report quality crossing a threshold
+     */
+    notifyUpdate() {
+        const stats = this.getStats();
+        const level = this.getQualityLevel();
+        const previousLevel = this.qualityLevel;
+
+        this.qualityLevel = level;
+        this.emit('update', stats);
+
+        if (previousLevel === null || level === previousLevel) return;
+
+        const change = {
+            previous: { ...LatencyMonitor.QUALITY_LEVELS[previousLevel] },
+            quality: stats.quality,
+            stats: stats
+        };
+
+        this.emit(level > previousLevel ? 'degraded' : 'recovered', change);
+    }
+
     /**
      * Reset statistics
      */
     reset() {
         this.pings = [];
+        this.outcomes = [];
+        this.spikes = [];
         this.currentLatency = 0;
         this.averageLatency = 0;
         this.jitter = 0;
+        this.percentiles = { p50: 0, p95: 0, p99: 0 };
+        this.lossRate = 0;
+        this.qualityLevel = null;
+        this.clockSamples = [];
+        this.clockOffset = 0;
+        this.clockReference = 0;
+        this.clockDrift = 0;
     }
 }
 
+// Quality ratings from best to worst
+LatencyMonitor.QUALITY_LEVELS = [
+    { rating: 'excellent', color: '#4caf50', label: 'Excellent' },
+    { rating: 'good', color: '#8bc34a', label: 'Good' },
+    { rating: 'fair', color: '#ff9800', label: 'Fair' },
+    { rating: 'poor', color: '#ff5722', label: 'Poor' },
+    { rating: 'bad', color: '#f44336', label: 'Bad' }
+];
+
+// Upper limits of each level below bad, per measure
+LatencyMonitor.QUALITY_THRESHOLDS = {
+    latency: [50, 100, 150, 250], // Average round trip (ms)
+    jitter: [10, 20, 40, 80], // Standard deviation (ms)
+    loss: [0.01, 0.03, 0.08, 0.15] // Share of pings lost
+};
+
 // Export for use in other files
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = LatencyMonitor;
 }
 
-// Add to server/server.js after existing socket.on handlers
-
-    // ==========================================
-    // LATENCY MONITORING
-    // ==========================================
-
-    // Ping/pong for latency measurement
-    socket.on('ping', (data, callback) => {
-        // Simply echo back immediately
-        if (callback) {
-            callback({
-                clientTime: data.clientTime,
-                serverTime: Date.now()
-            });
-        }
-    });
-
-    // ==========================================
-    // ENHANCED INPUT HANDLING WITH VALIDATION
-    // ==========================================
-
-    // Enhanced controller input with sequence numbers
-    socket.on('controllerInputSequenced', (data) => {
-        try {
-            const { roomCode, input, sequence } = data;
-            
-            const room = roomManager.getRoom(roomCode);
-            if (!room) return;
-
-            const player = room.getPlayerBySocketId(socket.id);
-            if (!player) return;
-
-            // Validate input
-            const validation = validateInput(input);
-            if (!validation.valid) {
-                console.warn('[INPUT VALIDATION] Invalid input from', socket.id, validation.errors);
-                return;
-            }
-
-            // Update player's input state with validated input
-            player.input = validation.sanitized;
-            player.lastInputSequence = sequence;
-            player.lastInputTime = Date.now();
-
-            // Broadcast to desktop with sequence number for reconciliation
-            socket.to(room.hostSocketId).emit('playerInputSequenced', {
-                playerNumber: player.playerNumber,
-                input: validation.sanitized,
-                sequence: sequence,
-                timestamp: Date.now()
-            });
-
-        } catch (error) {
-            console.error('[CONTROLLER INPUT SEQUENCED ERROR]', error);
-        }
-    });
-
-    // ==========================================
-    // GAME STATE SYNCHRONIZATION
-    // ==========================================
-
-    // Desktop sends game state updates to all players
-    socket.on('gameStateUpdate', (data) => {
-        try {
-            const { roomCode, state } = data;
-            
-            const room = roomManager.getRoom(roomCode);
-            if (!room) return;
-
-            // Only host can send game state updates
-            if (socket.id !== room.hostSocketId) {
-                console.warn('[GAME STATE] Non-host attempted to send game state');
-                return;
-            }
-
-            // Broadcast to all players in room
-            io.to(roomCode).emit('gameState', {
-                state: state,
-                timestamp: Date.now()
-            });
-
-        } catch (error) {
-            console.error('[GAME STATE UPDATE ERROR]', error);
-        }
-    });
-
-    // Player acknowledges receiving game state
-    socket.on('stateAcknowledged', (data) => {
-        try {
-            const { roomCode, lastSequence } = data;
-            
-            const room = roomManager.getRoom(roomCode);
-            if (!room) return;
-
-            const player = room.getPlayerBySocketId(socket.id);
-            if (!player) return;
-
-            player.lastAcknowledgedState = lastSequence;
-
-        } catch (error) {
-            console.error('[STATE ACKNOWLEDGED ERROR]', error);
-        }
-    });
-
-// ============================================
-// INPUT VALIDATION HELPER
-// ============================================
-
-function validateInput(input) {
-    const errors = [];
-    
-    // Validate steering
-    if (typeof input.steering !== 'number') {
-        errors.push('Steering must be a number');
-    } else if (input.steering < -1 || input.steering > 1) {
-        errors.push('Steering out of range');
-    }
-    
-    // Validate brake
-    if (typeof input.brake !== 'boolean') {
-        errors.push('Brake must be a boolean');
-    }
-    
-    // Validate timestamp
-    if (typeof input.timestamp !== 'number') {
-        errors.push('Timestamp must be a number');
-    }
-    
-    // Sanitize input
-    const sanitized = {
-        steering: Math.max(-1, Math.min(1, input.steering || 0)),
-        brake: Boolean(input.brake),
-        timestamp: input.timestamp || Date.now()
-    };
-    
-    return {
-        valid: errors.length === 0,
-        errors: errors,
-        sanitized: sanitized
-    };
-}
@@ -0,0 +1,100 @@
+// public/js/shared/raceCountdown.js
+
+/**
+ * Race Countdown
+ * Shows 3-2-1-GO in an element, timed against the server's race start
+ *
+ * The start time arrives in server-clock terms and is moved onto this
+ * device's clock with the measured offset. Every frame reads the clock
+ * instead of chaining timers, so the desktop and the phones flip to GO
+ * on the same frame give or take one.
+ */
+class RaceCountdown {
+    constructor(element) {
+        this.element = element;
+        this.frame = null;
+        this.hideTimer = null;
+        this.localStartAt = null;
+    }
+
+    /**
+     * Count down to startAt (server clock)
+     * clockOffset is server time minus local time; onGo runs once at zero
+     */
+    start(startAt, clockOffset = 0, onGo = null) {
+        this.stop();
+        this.localStartAt = startAt - clockOffset;
+
+        let shown = null;
+
+        const update = () => {
+            const remaining = this.localStartAt - Date.now();
+
+            if (remaining <= 0) {
+                this.frame = null;
+                this.show('GO!', true);
+                this.hideTimer = setTimeout(() => this.hide(), RaceCountdown.GO_DISPLAY_TIME);
+                if (onGo) onGo();
+                return;
+            }
+
+            const seconds = Math.ceil(remaining / 1000);
+            if (seconds !== shown) {
+                shown = seconds;
+                this.show(String(seconds), false);
+            }
+
+            this.frame = requestAnimationFrame(update);
+        };
+
+        update();
+    }
+
+    /**
+     * Milliseconds until GO on this device's clock (0 once the race is on)
+     */
+    getRemaining() {
+        return this.localStartAt === null ? 0 : Math.max(0, this.localStartAt - Date.now());
+    }
+
+    /**
+     * Show one step of the count (restarts the pop animation)
+     */
+    show(text, isGo) {
+        this.element.textContent = text;
+        this.element.classList.remove('tick');
+        void this.element.offsetWidth; // Reflow so the animation plays again
+        this.element.classList.add('visible', 'tick');
+        this.element.classList.toggle('go', isGo);
+    }
+
+    hide() {
+        this.element.classList.remove('visible', 'tick', 'go');
+        this.hideTimer = null;
+    }
+
+    /**
+     * Cancel the count and hide it
+     */
+    stop() {
+        if (this.frame) {
+            cancelAnimationFrame(this.frame);
+            this.frame = null;
+        }
+
+        if (this.hideTimer) {
+            clearTimeout(this.hideTimer);
+        }
+
+        this.hide();
+        this.localStartAt = null;
+    }
+}
+
+// How long GO! stays up
+RaceCountdown.GO_DISPLAY_TIME = 1000;
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RaceCountdown;
+}
@@ -0,0 +1,195 @@
+// public/js/shared/trackCatalog.js
+
+/**
+ * Track Catalog
+ * Track definitions keyed by GAME_CONSTANTS.MAPS IDs
+ *
+ * Coordinates are on the ground plane (x, z); a heading of 0 faces +z.
+ * Checkpoints are axis-aligned trigger boxes that must be passed in order.
+ * Checkpoint 0 is the start/finish line and the grid sits just past it,
+ * so a lap is checkpoints 1..n-1 followed by 0.
+ * Item boxes are power-up pickups, laid out in rows across the straights.
+ */
+const TrackCatalog = {
+    DEFAULT_TRACK: 'beach',
+
+    // Default trigger box size for checkpoints
+    CHECKPOINT_HALF_SIZE: { x: 30, y: 10, z: 30 },
+
+    tracks: {
+        beach: {
+            id: 'beach',
+            name: 'Beach Paradise',
+            laps: 3,
+            startGrid: { position: { x: 0, z: 40 }, heading: 0, columns: 2, rowSpacing: 10, columnSpacing: 8 },
+            checkpoints: [
+                { x: 0, z: 0 },
+                { x: 0, z: 400 },
+                { x: 200, z: 600 },
+                { x: 400, z: 400 },
+                { x: 400, z: 0 },
+                { x: 200, z: -200 }
+            ],
+            itemBoxes: [
+                { x: -8, z: 200 }, { x: 0, z: 200 }, { x: 8, z: 200 },
+                { x: 392, z: 200 }, { x: 400, z: 200 }, { x: 408, z: 200 }
+            ]
+        },
+        desert: {
+            id: 'desert',
+            name: 'Desert Storm',
+            laps: 3,
+            startGrid: { position: { x: 0, z: 40 }, heading: 0, columns: 2, rowSpacing: 10, columnSpacing: 8 },
+            checkpoints: [
+                { x: 0, z: 0 },
+                { x: 0, z: 500 },
+                { x: 300, z: 700 },
+                { x: 600, z: 500 },
+                { x: 450, z: 250 },
+                { x: 600, z: 0 },
+                { x: 300, z: -200 }
+            ],
+            itemBoxes: [
+                { x: -8, z: 250 }, { x: 0, z: 250 }, { x: 8, z: 250 },
+                { x: 517, z: 125 }, { x: 525, z: 125 }, { x: 533, z: 125 }
+            ]
+        },
+        jungle: {
+            id: 'jungle',
+            name: 'Jungle Rush',
+            laps: 3,
+            startGrid: { position: { x: 0, z: 40 }, heading: 0, columns: 2, rowSpacing: 10, columnSpacing: 8 },
+            checkpoints: [
+                { x: 0, z: 0 },
+                { x: 0, z: 300 },
+                { x: -250, z: 500 },
+                { x: -100, z: 750 },
+                { x: 250, z: 700 },
+                { x: 400, z: 400 },
+                { x: 300, z: 100 },
+                { x: 150, z: -150 }
+            ],
+            itemBoxes: [
+                { x: -8, z: 150 }, { x: 0, z: 150 }, { x: 8, z: 150 },
+                { x: 318, z: 546 }, { x: 325, z: 550 }, { x: 332, z: 554 }
+            ]
+        },
+        arctic: {
+            id: 'arctic',
+            name: 'Arctic Blast',
+            laps: 2,
+            startGrid: { position: { x: 0, z: 40 }, heading: 0, columns: 2, rowSpacing: 10, columnSpacing: 8 },
+            checkpoints: [
+                { x: 0, z: 0 },
+                { x: 0, z: 600 },
+                { x: 150, z: 750 },
+                { x: 300, z: 600 },
+                { x: 300, z: 0 },
+                { x: 150, z: -150 }
+            ],
+            itemBoxes: [
+                { x: -8, z: 300 }, { x: 0, z: 300 }, { x: 8, z: 300 },
+                { x: 292, z: 300 }, { x: 300, z: 300 }, { x: 308, z: 300 }
+            ]
+        },
+        city: {
+            id: 'city',
+            name: 'City Circuit',
+            laps: 4,
+            startGrid: { position: { x: 0, z: 40 }, heading: 0, columns: 2, rowSpacing: 10, columnSpacing: 8 },
+            checkpoints: [
+                { x: 0, z: 0 },
+                { x: 0, z: 400 },
+                { x: 300, z: 400 },
+                { x: 300, z: 700 },
+                { x: 600, z: 700 },
+                { x: 600, z: 0 },
+                { x: 300, z: -100 }
+            ],
+            itemBoxes: [
+                { x: -8, z: 200 }, { x: 0, z: 200 }, { x: 8, z: 200 },
+                { x: 592, z: 350 }, { x: 600, z: 350 }, { x: 608, z: 350 }
+            ]
+        }
+    },
+
+    /**
+     * Get a track definition by map ID (falls back to the default track)
+     * Checkpoints are expanded into { id, center, halfSize } trigger volumes
+     * and item boxes into { id, position }
+     */
+    getTrack(mapId) {
+        const track = this.tracks[mapId] || this.tracks[this.DEFAULT_TRACK];
+
+        return {
+            ...track,
+            checkpoints: track.checkpoints.map((point, index) => ({
+                id: index,
+                center: { x: point.x, y: 0, z: point.z },
+                halfSize: point.halfSize || this.CHECKPOINT_HALF_SIZE
+            })),
+            itemBoxes: (track.itemBoxes || []).map((point, index) => ({
+                id: index,
+                position: { x: point.x, y: 0, z: point.z }
+            }))
+        };
+    },
+
+    /**
+     * Check if a map ID has a track definition
+     */
+    isValidTrack(mapId) {
+        return Object.prototype.hasOwnProperty.call(this.tracks, mapId);
+    },
+
+    /**
+     * Get all track IDs
+     */
+    getTrackIds() {
+        return Object.keys(this.tracks);
+    },
+
+    /**
+     * Lay out start positions for a number of buggies, front row first
+     */
+    getStartPositions(track, count) {
+        const grid = track.startGrid;
+        const forwardX = Math.sin(grid.heading);
+        const forwardZ = Math.cos(grid.heading);
+        const positions = [];
+
+        for (let i = 0; i < count; i++) {
+            const row = Math.floor(i / grid.columns);
+            const column = i % grid.columns;
+
+            // Offset across the grid, centred on the grid position
+            const lateral = (column - (grid.columns - 1) / 2) * grid.columnSpacing;
+            const back = row * grid.rowSpacing;
+
+            positions.push({
+                position: {
+                    x: grid.position.x + forwardZ * lateral - forwardX * back,
+                    y: 0,
+                    z: grid.position.z - forwardX * lateral - forwardZ * back
+                },
+                heading: grid.heading
+            });
+        }
+
+        return positions;
+    },
+
+    /**
+     * Check if a position lies inside a trigger volume
+     */
+    isInsideTrigger(trigger, position) {
+        return Math.abs(position.x - trigger.center.x) <= trigger.halfSize.x &&
+            Math.abs(position.y - trigger.center.y) <= trigger.halfSize.y &&
+            Math.abs(position.z - trigger.center.z) <= trigger.halfSize.z;
+    }
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TrackCatalog;
+}
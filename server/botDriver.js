@@ -0,0 +1,129 @@
+// server/botDriver.js
+const BuggyPhysics = require('../public/js/shared/buggyPhysics');
+const GAME_CONSTANTS = require('../public/js/shared/constants');
+
+const DIFFICULTIES = GAME_CONSTANTS.BOT_DIFFICULTIES;
+
+// How each difficulty drives
+const PRESETS = {
+    [DIFFICULTIES.EASY]: {
+        steeringGain: 1.5, // Steering per radian off the racing line
+        lookAhead: 0, // How far to cut towards the checkpoint after next
+        speedFactor: 0.75, // Share of the car's top speed it will hold
+        wobble: 0.3, // Steering wander
+        itemDelay: 3000 // Milliseconds before using a held item
+    },
+    [DIFFICULTIES.MEDIUM]: {
+        steeringGain: 2.5,
+        lookAhead: 0.3,
+        speedFactor: 0.9,
+        wobble: 0.1,
+        itemDelay: 1500
+    },
+    [DIFFICULTIES.HARD]: {
+        steeringGain: 3.5,
+        lookAhead: 0.5,
+        speedFactor: 1,
+        wobble: 0,
+        itemDelay: 500
+    }
+};
+
+// Distance to a checkpoint at which bots start turning in for the next one
+const TURN_IN_DISTANCE = 80;
+
+// Share of the speed limit given up per radian off the racing line, and the least it slows to
+const CORNER_SLOWDOWN = 0.6;
+const MIN_CORNER_SPEED = 0.45;
+
+/**
+ * Bot Driver
+ * Produces controller-shaped input for a bot player by following the
+ * track's checkpoint path, so bots drive through the same input pipeline as phones
+ */
+class BotDriver {
+    constructor(difficulty = DIFFICULTIES.MEDIUM) {
+        this.difficulty = BotDriver.isValidDifficulty(difficulty) ? difficulty : DIFFICULTIES.MEDIUM;
+        this.preset = PRESETS[this.difficulty];
+        this.phase = Math.random() * Math.PI * 2; // Keeps bots from wobbling in step
+        this.itemHeldSince = null;
+    }
+
+    /**
+     * Check if a difficulty has a preset
+     */
+    static isValidDifficulty(difficulty) {
+        return Object.prototype.hasOwnProperty.call(PRESETS, difficulty);
+    }
+
+    /**
+     * Work out this tick's input for a bot's simulated buggy
+     */
+    getInput(gameState, player) {
+        const input = { steering: 0, brake: false, useItem: false, timestamp: Date.now() };
+        if (!player || gameState.checkpoints.length === 0) return input;
+
+        const target = this.getTarget(gameState, player);
+        const desired = Math.atan2(target.x - player.position.x, target.z - player.position.z);
+        const offLine = BuggyPhysics.wrapAngle(desired - player.rotation.y);
+        const wander = this.preset.wobble * Math.sin(gameState.getRaceTime() / 700 + this.phase);
+
+        // Positive steering turns right, which lowers the heading
+        input.steering = Math.max(-1, Math.min(1, -offLine * this.preset.steeringGain + wander));
+
+        // Ease off above the difficulty's speed limit, which drops the further the turn ahead
+        const vehicle = gameState.vehicles.get(player.playerNumber);
+        const topSpeed = vehicle ? vehicle.params.maxSpeed : GAME_CONSTANTS.PHYSICS.MAX_SPEED;
+        const cornerFactor = Math.max(MIN_CORNER_SPEED, 1 - Math.abs(offLine) * CORNER_SLOWDOWN);
+        input.brake = player.speed > topSpeed * this.preset.speedFactor * cornerFactor;
+
+        // Throttle is automatic, so easing off means braking; keep the wheel under the
+        // drift threshold while doing it, or every corner turns into a drift and a boost
+        if (input.brake) {
+            const steerLimit = GAME_CONSTANTS.PHYSICS.DRIFT_STEER_THRESHOLD * 0.95;
+            input.steering = Math.max(-steerLimit, Math.min(steerLimit, input.steering));
+        }
+
+        input.useItem = this.shouldUseItem(gameState, player);
+
+        return input;
+    }
+
+    /**
+     * Aim at the next checkpoint, cutting towards the one after as it gets close
+     */
+    getTarget(gameState, player) {
+        const checkpoints = gameState.checkpoints;
+        const next = checkpoints[player.nextCheckpoint].center;
+        const after = checkpoints[(player.nextCheckpoint + 1) % checkpoints.length].center;
+        const remaining = Math.hypot(next.x - player.position.x, next.z - player.position.z);
+
+        if (remaining > TURN_IN_DISTANCE) return next;
+
+        const blend = this.preset.lookAhead * (1 - remaining / TURN_IN_DISTANCE);
+        return {
+            x: next.x + (after.x - next.x) * blend,
+            z: next.z + (after.z - next.z) * blend
+        };
+    }
+
+    /**
+     * Press the item button once an item has been held for the difficulty's delay
+     */
+    shouldUseItem(gameState, player) {
+        if (!player.heldItem) {
+            this.itemHeldSince = null;
+            return false;
+        }
+
+        const raceTime = gameState.getRaceTime();
+        if (this.itemHeldSince === null) {
+            this.itemHeldSince = raceTime;
+        }
+
+        // Alternate ticks so the press registers as a new one
+        return raceTime - this.itemHeldSince >= this.preset.itemDelay && !player.useItemHeld;
+    }
+}
+
+module.exports = BotDriver;
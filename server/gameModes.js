@@ -0,0 +1,553 @@
+// server/gameModes.js
+const GAME_CONSTANTS = require('../public/js/shared/constants');
+const TrackCatalog = require('../public/js/shared/trackCatalog');
+
+/**
+ * Race mode - the default rules every other mode builds on
+ * First to complete all laps wins; the race ends when everyone finishes
+ */
+class RaceMode {
+    constructor(gameState) {
+        this.gameState = gameState;
+    }
+
+    /**
+     * Add mode-specific fields to a player when the race is initialized
+     */
+    setupPlayer(player) {}
+
+    /**
+     * Whether a player's controller input should drive their buggy
+     */
+    acceptsInput(player) {
+        return !player.finished && !player.retired;
+    }
+
+    /**
+     * Whether a player has finished after completing a lap
+     */
+    hasFinished(player) {
+        return player.currentLap > this.gameState.maxLaps;
+    }
+
+    /**
+     * Whether the track's item boxes are in play
+     */
+    usesPowerUps() {
+        return true;
+    }
+
+    /**
+     * Called every tick after the buggies have moved
+     */
+    onTick() {}
+
+    /**
+     * Called after a player completes a lap
+     */
+    onLapComplete(player) {}
+
+    /**
+     * Called after a player leaves the room mid-race
+     */
+    onRetire(player) {}
+
+    /**
+     * Players in finishing order, or null to rank by track progress
+     */
+    getStandings() {
+        return null;
+    }
+
+    /**
+     * Mode-specific state to include in snapshots
+     */
+    getSnapshot() {
+        return null;
+    }
+
+    /**
+     * Check if the race is over (racers who left count as out)
+     */
+    isRaceComplete() {
+        const players = this.gameState.players;
+        return players.length > 0 && players.every(p => p.finished || p.eliminated || p.retired);
+    }
+}
+
+/**
+ * Elimination mode - last place is knocked out each time the leader completes a lap
+ * Laps are unlimited; the last buggy standing wins
+ */
+class EliminationMode extends RaceMode {
+    constructor(gameState) {
+        super(gameState);
+        this.leaderLap = 1;
+    }
+
+    /**
+     * Solo runs fall back to normal race rules
+     */
+    isSolo() {
+        return this.gameState.players.length < 2;
+    }
+
+    acceptsInput(player) {
+        return super.acceptsInput(player) && !player.eliminated;
+    }
+
+    hasFinished(player) {
+        return this.isSolo() ? super.hasFinished(player) : false;
+    }
+
+    onLapComplete(player) {
+        if (this.isSolo()) return;
+
+        // Only the first buggy to reach each new lap triggers an elimination
+        if (player.currentLap <= this.leaderLap) return;
+        this.leaderLap = player.currentLap;
+
+        this.eliminateLastPlace();
+    }
+
+    /**
+     * Knock out the last-placed buggy still in the race
+     */
+    eliminateLastPlace() {
+        const gameState = this.gameState;
+
+        gameState.updateRacePositions();
+
+        const remaining = this.getRemaining();
+        if (remaining.length < 2) return;
+
+        const lastPlace = remaining.reduce((last, p) => (p.racePosition > last.racePosition ? p : last));
+
+        lastPlace.eliminated = true;
+        lastPlace.eliminatedTick = gameState.tick;
+
+        console.log(`[GAME MODE] Player ${lastPlace.playerNumber} eliminated on lap ${this.leaderLap - 1}`);
+
+        gameState.emitEvent('playerEliminated', {
+            playerNumber: lastPlace.playerNumber,
+            lap: this.leaderLap - 1,
+            remaining: remaining.length - 1
+        });
+
+        this.checkLastStanding();
+    }
+
+    onRetire() {
+        if (!this.isSolo()) {
+            this.checkLastStanding();
+        }
+    }
+
+    /**
+     * Buggies still in the running
+     */
+    getRemaining() {
+        return this.gameState.players.filter(p => !p.eliminated && !p.retired);
+    }
+
+    /**
+     * Last buggy standing wins
+     */
+    checkLastStanding() {
+        const gameState = this.gameState;
+        const remaining = this.getRemaining();
+
+        if (remaining.length === 1 && gameState.winner === null) {
+            const winner = remaining[0];
+
+            winner.finished = true;
+            winner.finishTime = gameState.getRaceTime();
+            gameState.winner = winner.playerNumber;
+
+            console.log(`[GAME MODE] Player ${winner.playerNumber} wins elimination`);
+        }
+    }
+
+    isRaceComplete() {
+        if (this.isSolo()) return super.isRaceComplete();
+
+        // Everyone left before a winner could be crowned
+        return this.gameState.winner !== null || this.getRemaining().length === 0;
+    }
+}
+
+/**
+ * Time trial mode - a solo run against the clock
+ * Every tick of the current lap is recorded so a best lap can be replayed as a ghost
+ */
+class TimeTrialMode extends RaceMode {
+    constructor(gameState) {
+        super(gameState);
+        this.ghost = null; // { lapTime, playerName, frames }
+        this.recording = []; // [lapTime, x, y, z, rotationY] per tick
+        this.lapStartTime = 0;
+    }
+
+    /**
+     * Set the best-lap record to replay (null for none)
+     */
+    setGhost(record) {
+        this.ghost = record ? {
+            lapTime: record.lapTime,
+            playerName: record.playerName,
+            frames: record.ghost
+        } : null;
+    }
+
+    getRunner() {
+        return this.gameState.players[0];
+    }
+
+    /**
+     * Items would make lap times incomparable
+     */
+    usesPowerUps() {
+        return false;
+    }
+
+    onTick() {
+        const runner = this.getRunner();
+        if (!runner || runner.finished || runner.retired) return;
+
+        const lapElapsed = this.gameState.getRaceTime() - this.lapStartTime;
+
+        // A runner who never closes the lap would grow the recording forever
+        if (lapElapsed > GAME_CONSTANTS.TIME_TRIAL.MAX_LAP_TIME) {
+            this.abortRun(runner);
+            return;
+        }
+
+        this.recording.push([
+            lapElapsed,
+            runner.position.x,
+            runner.position.y,
+            runner.position.z,
+            runner.rotation.y
+        ]);
+    }
+
+    onLapComplete(player) {
+        const raceTime = this.gameState.getRaceTime();
+
+        this.gameState.emitEvent('timeTrialLap', {
+            playerNumber: player.playerNumber,
+            carId: player.carId,
+            trackId: this.gameState.track.id,
+            lap: player.currentLap - 1,
+            lapTime: raceTime - this.lapStartTime,
+            ghost: this.recording
+        });
+
+        this.recording = [];
+        this.lapStartTime = raceTime;
+    }
+
+    /**
+     * Call off a run whose lap took too long, dropping the unfinished lap
+     */
+    abortRun(runner) {
+        this.recording = [];
+        runner.finished = true;
+
+        console.log(`[GAME MODE] Player ${runner.playerNumber} ran out of time on lap ${runner.currentLap}`);
+    }
+
+    /**
+     * Find the ghost frame for a time into the lap (holds the last frame once the ghost has finished)
+     */
+    getGhostFrame(lapElapsed) {
+        const frames = this.ghost && this.ghost.frames;
+        if (!frames || frames.length === 0) return null;
+
+        let low = 0;
+        let high = frames.length - 1;
+
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (frames[mid][0] <= lapElapsed) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+
+        return frames[low];
+    }
+
+    getSnapshot() {
+        const lapElapsed = this.gameState.getRaceTime() - this.lapStartTime;
+        const frame = this.getGhostFrame(lapElapsed);
+
+        return {
+            lapTime: lapElapsed,
+            bestLapTime: this.ghost ? this.ghost.lapTime : null,
+            // Ghost is a non-colliding replay of the best lap
+            ghost: frame ? {
+                playerName: this.ghost.playerName,
+                position: { x: frame[1], y: frame[2], z: frame[3] },
+                rotation: { x: 0, y: frame[4], z: 0 }
+            } : null
+        };
+    }
+}
+
+/**
+ * Battle arena mode - buggies trade damage until the match timer runs out
+ * Collisions and weapon pickups (placed on the track's checkpoints) deal damage;
+ * destroyed buggies respawn on the start grid and the top score wins
+ */
+class BattleMode extends RaceMode {
+    constructor(gameState) {
+        super(gameState);
+        this.settings = GAME_CONSTANTS.BATTLE;
+        this.collisionCooldowns = new Map(); // "a:b" -> race time the pair can collide again
+        this.pickups = gameState.track.checkpoints.map(checkpoint => ({
+            id: checkpoint.id,
+            position: { ...checkpoint.center },
+            active: true,
+            respawnAt: null
+        }));
+    }
+
+    setupPlayer(player) {
+        player.health = this.settings.MAX_HEALTH;
+        player.alive = true;
+        player.respawnAt = null;
+        player.protectedUntil = 0;
+        player.kills = 0;
+        player.deaths = 0;
+        player.score = 0;
+    }
+
+    acceptsInput(player) {
+        return super.acceptsInput(player) && player.alive;
+    }
+
+    hasFinished() {
+        return false;
+    }
+
+    getTimeRemaining() {
+        return Math.max(0, this.settings.MATCH_DURATION - this.gameState.getRaceTime());
+    }
+
+    /**
+     * Whether a buggy can collect pickups, collide and take damage
+     */
+    isInPlay(player) {
+        return player.alive && !player.retired;
+    }
+
+    onTick() {
+        if (this.gameState.winner !== null) return;
+
+        this.updateRespawns();
+        this.updatePickups();
+        this.updateCollisions();
+
+        if (this.getTimeRemaining() === 0) {
+            this.endMatch();
+        }
+    }
+
+    /**
+     * Bring destroyed buggies back once their timer runs out
+     */
+    updateRespawns() {
+        const raceTime = this.gameState.getRaceTime();
+        const spawns = TrackCatalog.getStartPositions(this.gameState.track, this.gameState.players.length);
+
+        this.gameState.players.forEach((player, index) => {
+            if (player.alive || player.retired || raceTime < player.respawnAt) return;
+
+            this.gameState.respawnPlayer(player.playerNumber, spawns[index].position, spawns[index].heading);
+            player.health = this.settings.MAX_HEALTH;
+            player.alive = true;
+            player.respawnAt = null;
+            player.protectedUntil = raceTime + this.settings.SPAWN_PROTECTION;
+
+            this.gameState.emitEvent('playerRespawned', { playerNumber: player.playerNumber });
+        });
+    }
+
+    /**
+     * Respawn used pickups and fire any a buggy drives over
+     * A pickup releases a shockwave that damages every other buggy nearby
+     */
+    updatePickups() {
+        const raceTime = this.gameState.getRaceTime();
+
+        this.pickups.forEach(pickup => {
+            if (!pickup.active) {
+                if (raceTime >= pickup.respawnAt) {
+                    pickup.active = true;
+                    pickup.respawnAt = null;
+                }
+                return;
+            }
+
+            const collector = this.gameState.players.find(p =>
+                this.isInPlay(p) && distance(p.position, pickup.position) <= this.settings.PICKUP_RADIUS
+            );
+            if (!collector) return;
+
+            pickup.active = false;
+            pickup.respawnAt = raceTime + this.settings.PICKUP_RESPAWN;
+
+            this.gameState.emitEvent('shockwave', {
+                playerNumber: collector.playerNumber,
+                position: { ...collector.position }
+            });
+
+            this.gameState.players.forEach(target => {
+                if (target === collector || !this.isInPlay(target)) return;
+                if (distance(target.position, collector.position) <= this.settings.SHOCKWAVE_RADIUS) {
+                    this.applyDamage(target, this.settings.SHOCKWAVE_DAMAGE, collector);
+                }
+            });
+        });
+    }
+
+    /**
+     * Damage buggies that run into each other; each takes damage from the other's speed
+     */
+    updateCollisions() {
+        const raceTime = this.gameState.getRaceTime();
+        const players = this.gameState.players;
+
+        for (let i = 0; i < players.length; i++) {
+            for (let j = i + 1; j < players.length; j++) {
+                const a = players[i];
+                const b = players[j];
+
+                if (!this.isInPlay(a) || !this.isInPlay(b)) continue;
+                if (distance(a.position, b.position) > this.settings.COLLISION_RADIUS) continue;
+
+                const pairKey = `${a.playerNumber}:${b.playerNumber}`;
+                if (raceTime < (this.collisionCooldowns.get(pairKey) || 0)) continue;
+                this.collisionCooldowns.set(pairKey, raceTime + this.settings.COLLISION_COOLDOWN);
+
+                const damageToA = b.speed * this.settings.COLLISION_DAMAGE;
+                const damageToB = a.speed * this.settings.COLLISION_DAMAGE;
+
+                this.applyDamage(a, damageToA, b);
+                this.applyDamage(b, damageToB, a);
+            }
+        }
+    }
+
+    /**
+     * Apply damage to a buggy, crediting the source with the kill if it is destroyed
+     */
+    applyDamage(target, amount, source = null) {
+        const raceTime = this.gameState.getRaceTime();
+
+        if (!this.isInPlay(target) || amount <= 0 || raceTime < target.protectedUntil) return false;
+
+        target.health = Math.max(0, Math.round(target.health - amount));
+
+        this.gameState.emitEvent('playerHit', {
+            playerNumber: target.playerNumber,
+            source: source ? source.playerNumber : null,
+            damage: Math.round(amount),
+            health: target.health
+        });
+
+        if (target.health === 0) {
+            target.alive = false;
+            target.deaths++;
+            target.respawnAt = raceTime + this.settings.RESPAWN_TIME;
+
+            if (source && source !== target) {
+                source.kills++;
+                source.score += this.settings.KILL_SCORE;
+            }
+
+            console.log(`[GAME MODE] Player ${target.playerNumber} destroyed${source ? ` by Player ${source.playerNumber}` : ''}`);
+
+            this.gameState.emitEvent('playerDestroyed', {
+                playerNumber: target.playerNumber,
+                by: source ? source.playerNumber : null,
+                respawnIn: this.settings.RESPAWN_TIME
+            });
+        }
+
+        return true;
+    }
+
+    /**
+     * Rank players by score, then fewer deaths, then player number; players who left trail the field
+     */
+    getStandings() {
+        return [...this.gameState.players]
+            .sort((a, b) => (a.retired - b.retired) || (b.score - a.score) || (a.deaths - b.deaths) || (a.playerNumber - b.playerNumber));
+    }
+
+    getScoreboard() {
+        return this.getStandings().map(p => ({
+                playerNumber: p.playerNumber,
+                kills: p.kills,
+                deaths: p.deaths,
+                score: p.score,
+                health: p.health
+            }));
+    }
+
+    /**
+     * Time is up, crown the top scorer
+     */
+    endMatch() {
+        const scoreboard = this.getScoreboard();
+        if (scoreboard.length === 0) return;
+
+        this.gameState.winner = scoreboard[0].playerNumber;
+
+        console.log(`[GAME MODE] Battle over, Player ${this.gameState.winner} wins`);
+    }
+
+    isRaceComplete() {
+        return this.gameState.winner !== null;
+    }
+
+    getSnapshot() {
+        const raceTime = this.gameState.getRaceTime();
+
+        return {
+            timeRemaining: this.getTimeRemaining(),
+            scoreboard: this.getScoreboard(),
+            pickups: this.pickups.map(p => ({ id: p.id, position: p.position, active: p.active })),
+            respawns: this.gameState.players
+                .filter(p => !p.alive)
+                .map(p => ({ playerNumber: p.playerNumber, respawnIn: Math.max(0, p.respawnAt - raceTime) }))
+        };
+    }
+}
+
+/**
+ * Distance between two positions on the ground plane
+ */
+function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.z - b.z);
+}
+
+const MODES = {
+    [GAME_CONSTANTS.GAME_MODES.RACE]: RaceMode,
+    [GAME_CONSTANTS.GAME_MODES.ELIMINATION]: EliminationMode,
+    [GAME_CONSTANTS.GAME_MODES.TIME_TRIAL]: TimeTrialMode,
+    [GAME_CONSTANTS.GAME_MODES.BATTLE]: BattleMode
+};
+
+/**
+ * Create the rules object for a game mode (unknown modes use race rules)
+ */
+function createGameMode(gameMode, gameState) {
+    const Mode = MODES[gameMode] || RaceMode;
+    return new Mode(gameState);
+}
+
+module.exports = { createGameMode, RaceMode, EliminationMode, TimeTrialMode, BattleMode };
@@ -1,42 +1,186 @@
 // server/gameState.js
+const BuggyPhysics = require('../public/js/shared/buggyPhysics');
+const CarCatalog = require('../public/js/shared/carCatalog');
+const TrackCatalog = require('../public/js/shared/trackCatalog');
+const GAME_CONSTANTS = require('../public/js/shared/constants');
+const { createGameMode } = require('./gameModes');
+const PowerUpManager = require('./powerUpManager');
 
 class GameState {
     constructor() {
         this.players = [];
-        this.powerUps = [];
+        this.vehicles = new Map(); // playerNumber -> BuggyPhysics
+        this.powerUps = new PowerUpManager(this);
+        this.track = null;
         this.checkpoints = [];
         this.raceStartTime = null;
         this.raceEndTime = null;
+        this.raceTime = 0; // Simulated milliseconds since the start
         this.currentLap = 1;
         this.maxLaps = 3;
+        this.gameMode = GAME_CONSTANTS.GAME_MODES.RACE;
+        this.mode = createGameMode(this.gameMode, this);
+        this.winner = null;
+        this.events = []; // Pending events for the room, drained each tick
         this.tick = 0;
         this.lastUpdateTime = Date.now();
     }
 
     /**
      * Initialize game state for a new race
+     * mapData is a map ID or a track definition from TrackCatalog
+     * options.cars maps playerNumber -> selected car ID
+     * options.gameMode selects the rules from GAME_CONSTANTS.GAME_MODES
      */
-    initialize(playerCount, mapData) {
+    initialize(playerCount, mapData, options = {}) {
+        const cars = options.cars || {};
+        const baseParams = BuggyPhysics.getDefaultParams();
+
+        this.track = mapData && typeof mapData === 'object' ? mapData : TrackCatalog.getTrack(mapData);
+        this.checkpoints = this.track.checkpoints;
+        this.maxLaps = this.track.laps;
+
+        this.gameMode = options.gameMode || GAME_CONSTANTS.GAME_MODES.RACE;
+        this.mode = createGameMode(this.gameMode, this);
+        this.winner = null;
+        this.events = [];
+        this.powerUps.reset();
+
+        const startPositions = TrackCatalog.getStartPositions(this.track, playerCount);
+
         this.players = [];
+        this.vehicles.clear();
         
         for (let i = 0; i < playerCount; i++) {
+            const carId = CarCatalog.isValidCar(cars[i + 1]) ? cars[i + 1] : CarCatalog.DEFAULT_CAR;
+            const vehicleState = BuggyPhysics.createState(startPositions[i].position, startPositions[i].heading);
+
+            // Car stats scale the base physics for this buggy
+            this.vehicles.set(i + 1, new BuggyPhysics(CarCatalog.getPhysicsParams(carId, baseParams)));
+
             this.players.push({
                 playerNumber: i + 1,
-                position: { x: 0, y: 0, z: 0 },
-                rotation: { x: 0, y: 0, z: 0 },
-                velocity: { x: 0, y: 0, z: 0 },
+                carId: carId,
+                position: vehicleState.position,
+                rotation: vehicleState.rotation,
+                velocity: vehicleState.velocity,
+                speed: vehicleState.speed,
+                boostTime: vehicleState.boostTime,
+                drifting: vehicleState.drifting,
+                driftTime: vehicleState.driftTime,
+                driftTier: vehicleState.driftTier,
+                input: { steering: 0, brake: false, useItem: false },
                 currentLap: 1,
+                // Grid sits past the start line, so checkpoint 1 comes first
+                nextCheckpoint: 1 % this.checkpoints.length,
                 checkpointsPassed: [],
                 racePosition: i + 1,
+                startPenaltyUntil: 0, // Race time a false starter is held on the grid until
+                eliminated: false,
+                eliminatedTick: null,
+                retired: false, // Left the room mid-race
                 finished: false,
                 finishTime: null
             });
         }
 
+        // Let the mode and items add their own per-player state
+        this.players.forEach(player => {
+            this.powerUps.setupPlayer(player);
+            this.mode.setupPlayer(player);
+        });
+
+        this.raceStartTime = null;
+        this.raceEndTime = null;
+        this.raceTime = 0;
+        this.tick = 0;
+        
+        console.log(`[GAME STATE] Initialized ${this.gameMode} for ${playerCount} players on ${this.track.id}`);
+    }
+
+    /**
+     * Start the race clock (called when the simulation loop begins)
+     */
+    startRace() {
         this.raceStartTime = Date.now();
+        this.raceEndTime = null;
+        this.raceTime = 0;
         this.tick = 0;
+    }
+
+    /**
+     * Get simulated milliseconds since the race started
+     */
+    getRaceTime() {
+        return Math.round(this.raceTime);
+    }
+
+    /**
+     * Queue an event for the room (sent by the game loop after the tick)
+     */
+    emitEvent(type, data) {
+        this.events.push({ type, data });
+    }
+
+    /**
+     * Take all pending events
+     */
+    drainEvents() {
+        const events = this.events;
+        this.events = [];
+        return events;
+    }
+
+    /**
+     * Get a player's state by player number
+     */
+    getPlayer(playerNumber) {
+        return this.players.find(p => p.playerNumber === playerNumber);
+    }
+
+    /**
+     * Store the latest controller input for a player (consumed on the next tick)
+     */
+    setPlayerInput(playerNumber, input) {
+        const player = this.getPlayer(playerNumber);
         
-        console.log(`[GAME STATE] Initialized for ${playerCount} players`);
+        if (player && input) {
+            player.input = {
+                steering: input.steering,
+                brake: input.brake,
+                useItem: Boolean(input.useItem)
+            };
+        }
+    }
+
+    /**
+     * Hold a player on the grid after GO for touching the controls during the countdown
+     * Returns false if they already have the penalty
+     */
+    penalizeFalseStart(playerNumber) {
+        const player = this.getPlayer(playerNumber);
+        if (!player || player.startPenaltyUntil > 0) return false;
+
+        player.startPenaltyUntil = GAME_CONSTANTS.LOBBY.FALSE_START_PENALTY;
+        return true;
+    }
+
+    /**
+     * Take a player who left the room out of the race (their buggy brakes to a stop where it is)
+     * Returns false if they already retired
+     */
+    retirePlayer(playerNumber) {
+        const player = this.getPlayer(playerNumber);
+        if (!player || player.retired) return false;
+
+        player.retired = true;
+        player.input = { steering: 0, brake: false, useItem: false };
+
+        console.log(`[GAME STATE] Player ${playerNumber} retired`);
+
+        this.mode.onRetire(player);
+
+        return true;
     }
 
     /**
@@ -44,8 +188,17 @@ class GameState {
      */
     update(deltaTime) {
         this.tick++;
+        this.raceTime += deltaTime * 1000;
         this.lastUpdateTime = Date.now();
 
+        // Advance every buggy with its latest input
+        this.updateVehicles(deltaTime);
+        this.mode.onTick();
+        this.powerUps.update(deltaTime);
+
+        // Trigger checkpoints the buggies drove through
+        this.updateCheckpoints();
+
         // Update race positions based on progress
         this.updateRacePositions();
 
@@ -53,16 +206,125 @@ class GameState {
         this.checkRaceCompletion();
     }
 
+    /**
+     * Step each player's vehicle physics
+     */
+    updateVehicles(deltaTime) {
+        this.players.forEach(player => {
+            const vehicle = this.vehicles.get(player.playerNumber);
+            if (!vehicle) return;
+
+            // Finished, knocked-out and false-started buggies brake to a stop, spun-out ones skid round
+            let input = player.input;
+            if (!this.mode.acceptsInput(player) || this.getRaceTime() < player.startPenaltyUntil) {
+                input = { steering: 0, brake: true };
+            } else if (this.powerUps.isSpinningOut(player)) {
+                input = { steering: 1, brake: true };
+            }
+            const next = vehicle.step(player, input, deltaTime);
+
+            // Skidding round is not a drift and charges nothing
+            if (input !== player.input) {
+                next.drifting = false;
+                next.driftTime = 0;
+                next.driftTier = 0;
+            }
+
+            player.position = next.position;
+            player.rotation = next.rotation;
+            player.velocity = next.velocity;
+            player.speed = next.speed;
+            player.boostTime = next.boostTime;
+            player.drifting = next.drifting;
+            player.driftTime = next.driftTime;
+            player.driftTier = next.driftTier;
+        });
+    }
+
+    /**
+     * Put a player's buggy back at rest at a position
+     */
+    respawnPlayer(playerNumber, position, heading) {
+        const player = this.getPlayer(playerNumber);
+        if (!player) return;
+
+        const vehicleState = BuggyPhysics.createState(position, heading);
+
+        player.position = vehicleState.position;
+        player.rotation = vehicleState.rotation;
+        player.velocity = vehicleState.velocity;
+        player.speed = vehicleState.speed;
+        player.boostTime = vehicleState.boostTime;
+        player.drifting = vehicleState.drifting;
+        player.driftTime = vehicleState.driftTime;
+        player.driftTier = vehicleState.driftTier;
+    }
+
+    /**
+     * Pass the next checkpoint for any player inside its trigger volume
+     */
+    updateCheckpoints() {
+        this.players.forEach(player => {
+            if (player.finished || player.eliminated) return;
+
+            const checkpoint = this.checkpoints[player.nextCheckpoint];
+
+            if (checkpoint && TrackCatalog.isInsideTrigger(checkpoint, player.position)) {
+                this.passCheckpoint(player.playerNumber, checkpoint.id);
+            }
+        });
+    }
+
     /**
      * Update player race positions
+     * Finished players rank by finish time, the rest by lap, then checkpoint,
+     * then distance covered towards the next checkpoint. Player number breaks
+     * exact ties so the order never flips between ticks.
      */
     updateRacePositions() {
-        // Sort players by lap and checkpoints passed
+        // Modes that don't rank by track progress supply their own order
+        const standings = this.mode.getStandings();
+        if (standings) {
+            standings.forEach((player, index) => {
+                player.racePosition = index + 1;
+            });
+            return;
+        }
+
+        const progress = new Map();
+        this.players.forEach(player => {
+            progress.set(player.playerNumber, this.getRaceProgress(player));
+            player.lapProgress = progress.get(player.playerNumber).lapProgress;
+        });
+
         const sortedPlayers = [...this.players].sort((a, b) => {
-            if (a.currentLap !== b.currentLap) {
-                return b.currentLap - a.currentLap;
+            // Knocked-out buggies trail the field, most recently eliminated first
+            if (a.eliminated !== b.eliminated) {
+                return a.eliminated ? 1 : -1;
+            }
+            if (a.eliminated) {
+                return b.eliminatedTick - a.eliminatedTick;
+            }
+            if (a.finished !== b.finished) {
+                return a.finished ? -1 : 1;
             }
-            return b.checkpointsPassed.length - a.checkpointsPassed.length;
+            if (a.finished && a.finishTime !== b.finishTime) {
+                return a.finishTime - b.finishTime;
+            }
+
+            const progressA = progress.get(a.playerNumber);
+            const progressB = progress.get(b.playerNumber);
+
+            if (progressA.lap !== progressB.lap) {
+                return progressB.lap - progressA.lap;
+            }
+            if (progressA.checkpoint !== progressB.checkpoint) {
+                return progressB.checkpoint - progressA.checkpoint;
+            }
+            if (progressA.fraction !== progressB.fraction) {
+                return progressB.fraction - progressA.fraction;
+            }
+            return a.playerNumber - b.playerNumber;
         });
 
         // Assign positions
@@ -71,13 +333,39 @@ class GameState {
         });
     }
 
+    /**
+     * Get how far a player is through the race
+     * fraction is the share of the current checkpoint-to-checkpoint segment covered
+     */
+    getRaceProgress(player) {
+        const count = this.checkpoints.length;
+        const checkpoint = player.checkpointsPassed.length;
+        let fraction = 0;
+
+        if (count > 0) {
+            const next = this.checkpoints[player.nextCheckpoint].center;
+            const previous = this.checkpoints[(player.nextCheckpoint - 1 + count) % count].center;
+            const segmentLength = Math.hypot(next.x - previous.x, next.z - previous.z);
+            const remaining = Math.hypot(next.x - player.position.x, next.z - player.position.z);
+
+            if (segmentLength > 0) {
+                fraction = Math.max(0, Math.min(1, 1 - remaining / segmentLength));
+            }
+        }
+
+        return {
+            lap: player.currentLap,
+            checkpoint: checkpoint,
+            fraction: fraction,
+            lapProgress: count > 0 ? Math.min(1, (checkpoint + fraction) / count) : 0
+        };
+    }
+
     /**
      * Check if race is complete
      */
     checkRaceCompletion() {
-        const allFinished = this.players.every(p => p.finished);
-        
-        if (allFinished && !this.raceEndTime) {
+        if (this.mode.isRaceComplete() && !this.raceEndTime) {
             this.raceEndTime = Date.now();
             console.log('[GAME STATE] Race completed');
         }
@@ -98,38 +386,50 @@ class GameState {
 
     /**
      * Player passed a checkpoint
+     * Checkpoints only count in track order; returns false if it was out of order
      */
     passCheckpoint(playerNumber, checkpointId) {
-        const player = this.players.find(p => p.playerNumber === playerNumber);
+        const player = this.getPlayer(playerNumber);
+        if (!player || player.finished || player.eliminated) return false;
+
+        const expected = this.checkpoints[player.nextCheckpoint];
+        if (!expected || expected.id !== checkpointId) return false;
+
+        player.checkpointsPassed.push(checkpointId);
+        player.nextCheckpoint = (player.nextCheckpoint + 1) % this.checkpoints.length;
         
-        if (player && !player.checkpointsPassed.includes(checkpointId)) {
-            player.checkpointsPassed.push(checkpointId);
+        // Check if lap is complete (all checkpoints passed)
+        if (this.isLapComplete(player)) {
+            player.currentLap++;
+            player.checkpointsPassed = [];
             
-            // Check if lap is complete (all checkpoints passed)
-            if (this.isLapComplete(player)) {
-                player.currentLap++;
-                player.checkpointsPassed = [];
-                
-                console.log(`[GAME STATE] Player ${playerNumber} completed lap ${player.currentLap - 1}`);
-                
-                // Check if player finished race
-                if (player.currentLap > this.maxLaps) {
-                    player.finished = true;
-                    player.finishTime = Date.now() - this.raceStartTime;
-                    
-                    console.log(`[GAME STATE] Player ${playerNumber} finished race in ${player.finishTime}ms`);
+            console.log(`[GAME STATE] Player ${playerNumber} completed lap ${player.currentLap - 1}`);
+            
+            // Check if player finished race
+            if (this.mode.hasFinished(player)) {
+                player.finished = true;
+                player.finishTime = this.getRaceTime();
+
+                if (this.winner === null) {
+                    this.winner = playerNumber;
                 }
+                
+                console.log(`[GAME STATE] Player ${playerNumber} finished race in ${player.finishTime}ms`);
             }
+
+            this.mode.onLapComplete(player);
         }
+
+        return true;
     }
 
     /**
      * Check if player has passed all checkpoints for current lap
+     * The lap closes on the start/finish line (checkpoint 0)
      */
     isLapComplete(player) {
-        // This will be implemented based on your track design
-        // For now, assume 5 checkpoints per lap
-        return player.checkpointsPassed.length >= 5;
+        return player.checkpointsPassed.length >= this.checkpoints.length &&
+            player.checkpointsPassed[player.checkpointsPassed.length - 1] === 0;
     }
 
     /**
@@ -138,10 +438,15 @@ class GameState {
     getSnapshot() {
         return {
             tick: this.tick,
+            trackId: this.track ? this.track.id : null,
             players: this.players,
-            powerUps: this.powerUps,
+            powerUps: this.powerUps.getSnapshot(),
             raceStartTime: this.raceStartTime,
             raceEndTime: this.raceEndTime,
+            raceTime: this.getRaceTime(),
+            gameMode: this.gameMode,
+            modeState: this.mode.getSnapshot(),
+            winner: this.winner,
             currentLap: this.currentLap,
             maxLaps: this.maxLaps,
             timestamp: this.lastUpdateTime
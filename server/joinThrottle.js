@@ -0,0 +1,62 @@
+// server/joinThrottle.js
+
+// Used for anything the config file leaves out
+const DEFAULT_SETTINGS = {
+    maxFailures: 10, // Failed joins allowed per window
+    windowMs: 60000,
+    blockMs: 300000 // How long an address is refused once it runs out
+};
+
+/**
+ * Join Throttle
+ * Counts failed joins (unknown room or wrong PIN) per IP address,
+ * so room codes and PINs cannot be scanned from one machine
+ */
+class JoinThrottle {
+    constructor(settings = {}) {
+        this.settings = { ...DEFAULT_SETTINGS, ...settings };
+        this.addresses = new Map(); // IP -> { failures, windowStart, blockedUntil }
+    }
+
+    /**
+     * Milliseconds until an address may try again (0 when it is not blocked)
+     */
+    getRetryAfter(address, now = Date.now()) {
+        const entry = this.addresses.get(address);
+        if (!entry || now >= entry.blockedUntil) return 0;
+
+        return entry.blockedUntil - now;
+    }
+
+    /**
+     * Record a failed join, blocking the address once it has too many
+     */
+    recordFailure(address, now = Date.now()) {
+        let entry = this.addresses.get(address);
+
+        if (!entry || now - entry.windowStart >= this.settings.windowMs) {
+            entry = { failures: 0, windowStart: now, blockedUntil: 0 };
+            this.addresses.set(address, entry);
+        }
+
+        entry.failures++;
+
+        if (entry.failures >= this.settings.maxFailures) {
+            entry.blockedUntil = now + this.settings.blockMs;
+            console.warn(`[JOIN THROTTLE] Blocking ${address} for ${this.settings.blockMs}ms after ${entry.failures} failed joins`);
+        }
+    }
+
+    /**
+     * Forget addresses whose window and block have both run out
+     */
+    cleanup(now = Date.now()) {
+        for (const [address, entry] of this.addresses) {
+            if (now - entry.windowStart >= this.settings.windowMs && now >= entry.blockedUntil) {
+                this.addresses.delete(address);
+            }
+        }
+    }
+}
+
+module.exports = JoinThrottle;
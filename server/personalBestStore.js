@@ -0,0 +1,103 @@
+// server/personalBestStore.js
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Personal Best Store
+ * Keeps the best time-trial lap (and its ghost) per map and car in a local JSON file
+ */
+class PersonalBestStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.records = {}; // "mapId:carId" -> record
+        this.saving = Promise.resolve(); // Saves run one at a time, in order
+        this.load();
+    }
+
+    /**
+     * Load records from disk (a missing file just means no records yet)
+     */
+    load() {
+        try {
+            if (fs.existsSync(this.filePath)) {
+                this.records = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+                console.log(`[PERSONAL BESTS] Loaded ${Object.keys(this.records).length} records`);
+            }
+        } catch (error) {
+            console.error('[PERSONAL BESTS] Failed to load records:', error);
+            this.records = {};
+        }
+    }
+
+    /**
+     * Queue a write of the current records behind any save still in progress
+     */
+    save() {
+        this.saving = this.saving.then(() => this.write());
+        return this.saving;
+    }
+
+    /**
+     * Write records to a temp file and swap it in, so a crash never leaves a half-written file
+     */
+    async write() {
+        const tempPath = `${this.filePath}.tmp`;
+
+        try {
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.promises.writeFile(tempPath, JSON.stringify(this.records));
+            await fs.promises.rename(tempPath, this.filePath);
+        } catch (error) {
+            console.error('[PERSONAL BESTS] Failed to save records:', error);
+        }
+    }
+
+    getKey(mapId, carId) {
+        return `${mapId}:${carId}`;
+    }
+
+    /**
+     * Get the best record for a map and car, including its ghost
+     */
+    getBest(mapId, carId) {
+        return this.records[this.getKey(mapId, carId)] || null;
+    }
+
+    /**
+     * List records without ghost data, optionally for a single map
+     */
+    list(mapId = null) {
+        return Object.values(this.records)
+            .filter(record => !mapId || record.mapId === mapId)
+            .map(({ ghost, ...summary }) => summary)
+            .sort((a, b) => a.lapTime - b.lapTime);
+    }
+
+    /**
+     * Record a lap, keeping it only if it beats the stored best
+     */
+    submitLap(mapId, carId, lap) {
+        const key = this.getKey(mapId, carId);
+        const previous = this.records[key];
+        const previousLapTime = previous ? previous.lapTime : null;
+
+        if (previous && previous.lapTime <= lap.lapTime) {
+            return { isBest: false, previousLapTime };
+        }
+
+        this.records[key] = {
+            mapId: mapId,
+            carId: carId,
+            lapTime: lap.lapTime,
+            playerName: lap.playerName,
+            recordedAt: Date.now(),
+            ghost: lap.ghost
+        };
+
+        this.save();
+
+        return { isBest: true, previousLapTime };
+    }
+}
+
+module.exports = PersonalBestStore;
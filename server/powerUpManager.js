@@ -0,0 +1,300 @@
+// server/powerUpManager.js
+const BuggyPhysics = require('../public/js/shared/buggyPhysics');
+const GAME_CONSTANTS = require('../public/js/shared/constants');
+
+const ITEMS = GAME_CONSTANTS.POWER_UPS.ITEMS;
+
+/**
+ * Power-Up Manager
+ * Runs the track's item boxes and the effects of items in play
+ *
+ * Each player holds at most one item (player.heldItem) and uses it on the
+ * press of the controller's item button. Timed effects are stored on the
+ * player as race times (spinOutUntil, shieldUntil) like battle spawn protection.
+ */
+class PowerUpManager {
+    constructor(gameState) {
+        this.gameState = gameState;
+        this.settings = GAME_CONSTANTS.POWER_UPS;
+        this.boxes = [];
+        this.hazards = []; // Oil slicks on the track
+        this.projectiles = []; // Homing shots in flight
+        this.nextId = 1;
+    }
+
+    /**
+     * Lay out the current track's item boxes and clear everything in play
+     */
+    reset() {
+        const track = this.gameState.track;
+        const enabled = this.gameState.mode.usesPowerUps();
+
+        this.boxes = enabled && track ? track.itemBoxes.map(box => ({
+            id: box.id,
+            position: { ...box.position },
+            active: true,
+            respawnAt: null
+        })) : [];
+        this.hazards = [];
+        this.projectiles = [];
+        this.nextId = 1;
+    }
+
+    /**
+     * Add power-up fields to a player
+     */
+    setupPlayer(player) {
+        player.heldItem = null;
+        player.spinOutUntil = 0;
+        player.shieldUntil = 0;
+        player.useItemHeld = false;
+    }
+
+    /**
+     * Whether a player's buggy is currently spun out
+     */
+    isSpinningOut(player) {
+        return this.gameState.getRaceTime() < player.spinOutUntil;
+    }
+
+    /**
+     * Called every tick after the buggies have moved
+     */
+    update(deltaTime) {
+        this.updateItemUse();
+        this.updateBoxes();
+        this.updateHazards();
+        this.updateProjectiles(deltaTime);
+    }
+
+    /**
+     * Use held items on the press (not hold) of the item button
+     */
+    updateItemUse() {
+        this.gameState.players.forEach(player => {
+            const pressed = Boolean(player.input.useItem);
+
+            if (pressed && !player.useItemHeld && player.heldItem && this.gameState.mode.acceptsInput(player)) {
+                this.useItem(player);
+            }
+
+            player.useItemHeld = pressed;
+        });
+    }
+
+    /**
+     * Respawn collected boxes and hand out items to buggies driving through them
+     */
+    updateBoxes() {
+        const raceTime = this.gameState.getRaceTime();
+
+        this.boxes.forEach(box => {
+            if (!box.active) {
+                if (raceTime >= box.respawnAt) {
+                    box.active = true;
+                    box.respawnAt = null;
+                }
+                return;
+            }
+
+            // Buggies already holding an item drive straight through
+            const collector = this.gameState.players.find(p =>
+                !p.heldItem &&
+                this.gameState.mode.acceptsInput(p) &&
+                distance(p.position, box.position) <= this.settings.BOX_RADIUS
+            );
+            if (!collector) return;
+
+            box.active = false;
+            box.respawnAt = raceTime + this.settings.BOX_RESPAWN;
+            collector.heldItem = this.rollItem();
+
+            this.gameState.emitEvent('itemCollected', {
+                playerNumber: collector.playerNumber,
+                item: collector.heldItem
+            });
+        });
+    }
+
+    /**
+     * Pick a random item
+     */
+    rollItem() {
+        const items = Object.values(ITEMS);
+        return items[Math.floor(Math.random() * items.length)];
+    }
+
+    /**
+     * Spend a player's held item
+     */
+    useItem(player) {
+        const raceTime = this.gameState.getRaceTime();
+        const item = player.heldItem;
+
+        player.heldItem = null;
+
+        switch (item) {
+            case ITEMS.BOOST:
+                player.boostTime = this.settings.BOOST_DURATION / 1000;
+                break;
+
+            case ITEMS.OIL_SLICK: {
+                // Dropped just behind the buggy
+                const heading = player.rotation.y;
+                this.hazards.push({
+                    id: this.nextId++,
+                    owner: player.playerNumber,
+                    position: {
+                        x: player.position.x - BuggyPhysics.sin(heading) * this.settings.OIL_SLICK_RADIUS * 1.5,
+                        y: 0,
+                        z: player.position.z - BuggyPhysics.cos(heading) * this.settings.OIL_SLICK_RADIUS * 1.5
+                    },
+                    armedAt: raceTime + this.settings.OIL_SLICK_ARM_TIME,
+                    expiresAt: raceTime + this.settings.OIL_SLICK_LIFETIME
+                });
+                break;
+            }
+
+            case ITEMS.HOMING_SHOT: {
+                const target = this.findHomingTarget(player);
+                this.projectiles.push({
+                    id: this.nextId++,
+                    owner: player.playerNumber,
+                    target: target ? target.playerNumber : null,
+                    position: { ...player.position },
+                    heading: player.rotation.y,
+                    expiresAt: raceTime + this.settings.HOMING_LIFETIME
+                });
+                break;
+            }
+
+            case ITEMS.SHIELD:
+                player.shieldUntil = raceTime + this.settings.SHIELD_DURATION;
+                break;
+
+            default:
+                return;
+        }
+
+        this.gameState.emitEvent('itemUsed', { playerNumber: player.playerNumber, item: item });
+    }
+
+    /**
+     * Homing shots chase the closest rival ahead in the standings,
+     * or the closest rival at all when nobody is ahead
+     */
+    findHomingTarget(player) {
+        const rivals = this.gameState.players.filter(p =>
+            p !== player && this.gameState.mode.acceptsInput(p)
+        );
+        const ahead = rivals.filter(p => p.racePosition < player.racePosition);
+        const candidates = ahead.length > 0 ? ahead : rivals;
+
+        return candidates.reduce((closest, p) => (
+            !closest || distance(p.position, player.position) < distance(closest.position, player.position) ? p : closest
+        ), null);
+    }
+
+    /**
+     * Spin out buggies that drive over an oil slick (each slick works once)
+     */
+    updateHazards() {
+        const raceTime = this.gameState.getRaceTime();
+
+        this.hazards = this.hazards.filter(hazard => {
+            if (raceTime >= hazard.expiresAt) return false;
+
+            const victim = this.gameState.players.find(p =>
+                (p.playerNumber !== hazard.owner || raceTime >= hazard.armedAt) &&
+                this.gameState.mode.acceptsInput(p) &&
+                distance(p.position, hazard.position) <= this.settings.OIL_SLICK_RADIUS
+            );
+            if (!victim) return true;
+
+            this.hitPlayer(victim, this.gameState.getPlayer(hazard.owner), ITEMS.OIL_SLICK, 0);
+            return false;
+        });
+    }
+
+    /**
+     * Steer homing shots towards their targets and resolve hits
+     */
+    updateProjectiles(deltaTime) {
+        const raceTime = this.gameState.getRaceTime();
+        const step = this.settings.HOMING_SPEED * deltaTime;
+
+        this.projectiles = this.projectiles.filter(projectile => {
+            if (raceTime >= projectile.expiresAt) return false;
+
+            const target = projectile.target !== null ? this.gameState.getPlayer(projectile.target) : null;
+
+            // Shots without a target (or whose target left play) fly straight on
+            if (target && this.gameState.mode.acceptsInput(target)) {
+                const dx = target.position.x - projectile.position.x;
+                const dz = target.position.z - projectile.position.z;
+
+                if (Math.hypot(dx, dz) <= step + this.settings.HOMING_HIT_RADIUS) {
+                    this.hitPlayer(target, this.gameState.getPlayer(projectile.owner), ITEMS.HOMING_SHOT, this.settings.HOMING_DAMAGE);
+                    return false;
+                }
+
+                projectile.heading = Math.atan2(dx, dz);
+            }
+
+            projectile.position.x += Math.sin(projectile.heading) * step;
+            projectile.position.z += Math.cos(projectile.heading) * step;
+            return true;
+        });
+    }
+
+    /**
+     * Hit a buggy with an item: a shield absorbs it, otherwise the buggy spins out
+     * (and takes damage in modes that track health)
+     */
+    hitPlayer(target, source, item, damage) {
+        const raceTime = this.gameState.getRaceTime();
+
+        if (raceTime < target.shieldUntil) {
+            target.shieldUntil = 0;
+            this.gameState.emitEvent('shieldBlocked', {
+                playerNumber: target.playerNumber,
+                source: source ? source.playerNumber : null,
+                item: item
+            });
+            return;
+        }
+
+        target.spinOutUntil = raceTime + this.settings.SPINOUT_DURATION;
+        target.boostTime = 0;
+
+        this.gameState.emitEvent('playerSpunOut', {
+            playerNumber: target.playerNumber,
+            source: source ? source.playerNumber : null,
+            item: item
+        });
+
+        if (damage > 0 && typeof this.gameState.mode.applyDamage === 'function') {
+            this.gameState.mode.applyDamage(target, damage, source);
+        }
+    }
+
+    /**
+     * Item state to include in snapshots
+     */
+    getSnapshot() {
+        return {
+            boxes: this.boxes.map(b => ({ id: b.id, position: b.position, active: b.active })),
+            hazards: this.hazards.map(h => ({ id: h.id, position: h.position })),
+            projectiles: this.projectiles.map(p => ({ id: p.id, owner: p.owner, target: p.target, position: p.position }))
+        };
+    }
+}
+
+/**
+ * Distance between two positions on the ground plane
+ */
+function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.z - b.z);
+}
+
+module.exports = PowerUpManager;
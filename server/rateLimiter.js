@@ -0,0 +1,125 @@
+// server/rateLimiter.js
+const fs = require('fs');
+
+// Used for anything the config file leaves out
+const DEFAULT_CONFIG = {
+    default: { rate: 5, burst: 10 }, // Tokens per second and bucket size
+    events: {},
+    kick: { maxDropped: 100, windowMs: 10000 }, // Dropped messages within the window that get a socket kicked
+    joinThrottle: {} // Failed joins per IP address (see JoinThrottle)
+};
+
+// Bucket shared by event names the server has no handler for
+const UNKNOWN_BUCKET = '*';
+
+/**
+ * Rate Limiter
+ * Token buckets for one socket, one per event type; events the config does not
+ * list get their own bucket at the default limit
+ *
+ * Each event spends a token; buckets refill continuously at their rate up to
+ * their burst size. Messages that find an empty bucket are dropped, and a
+ * socket that keeps getting dropped is reported for kicking.
+ */
+class RateLimiter {
+    constructor(config = DEFAULT_CONFIG, knownEvents = null) {
+        this.config = config;
+        this.knownEvents = knownEvents; // Set of handled event names, or null to trust every name
+        this.buckets = new Map(); // Bucket key -> { tokens, updatedAt }
+        this.counters = {}; // Bucket key -> { allowed, dropped }
+        this.recentDrops = []; // Times of drops inside the kick window
+    }
+
+    /**
+     * Load limits from a JSON config file, falling back to the defaults
+     */
+    static loadConfig(filePath) {
+        try {
+            const file = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            const config = {
+                default: { ...DEFAULT_CONFIG.default, ...file.default },
+                events: { ...file.events },
+                kick: { ...DEFAULT_CONFIG.kick, ...file.kick },
+                joinThrottle: { ...file.joinThrottle }
+            };
+
+            console.log(`[RATE LIMIT] Loaded limits for ${Object.keys(config.events).length} events`);
+            return config;
+        } catch (error) {
+            console.error('[RATE LIMIT] Failed to load config, using defaults:', error.message);
+            return DEFAULT_CONFIG;
+        }
+    }
+
+    /**
+     * Bucket an event is counted against
+     * Made-up event names share one so they cannot each get a fresh burst
+     */
+    getBucketKey(eventName) {
+        return !this.knownEvents || this.knownEvents.has(eventName) ? eventName : UNKNOWN_BUCKET;
+    }
+
+    /**
+     * Limit for a bucket: its own from the config, or the default
+     */
+    getLimit(key) {
+        return Object.prototype.hasOwnProperty.call(this.config.events, key) ? this.config.events[key] : this.config.default;
+    }
+
+    /**
+     * Spend a token for an event; returns false when the message should be dropped
+     */
+    consume(eventName, now = Date.now()) {
+        const key = this.getBucketKey(eventName);
+        const limit = this.getLimit(key);
+
+        let bucket = this.buckets.get(key);
+        if (!bucket) {
+            bucket = { tokens: limit.burst, updatedAt: now };
+            this.buckets.set(key, bucket);
+        }
+
+        bucket.tokens = Math.min(limit.burst, bucket.tokens + (now - bucket.updatedAt) / 1000 * limit.rate);
+        bucket.updatedAt = now;
+
+        const counter = this.counters[key] || (this.counters[key] = { allowed: 0, dropped: 0 });
+
+        if (bucket.tokens >= 1) {
+            bucket.tokens -= 1;
+            counter.allowed++;
+            return true;
+        }
+
+        counter.dropped++;
+        this.recentDrops.push(now);
+        return false;
+    }
+
+    /**
+     * Check if the socket has been dropped often enough to be kicked
+     */
+    shouldKick(now = Date.now()) {
+        const windowStart = now - this.config.kick.windowMs;
+        this.recentDrops = this.recentDrops.filter(time => time > windowStart);
+
+        return this.recentDrops.length >= this.config.kick.maxDropped;
+    }
+
+    /**
+     * Get counters for the debug API
+     */
+    getStats() {
+        const totals = Object.values(this.counters).reduce((sum, counter) => ({
+            allowed: sum.allowed + counter.allowed,
+            dropped: sum.dropped + counter.dropped
+        }), { allowed: 0, dropped: 0 });
+
+        return {
+            ...totals,
+            recentDrops: this.recentDrops.length,
+            events: this.counters
+        };
+    }
+}
+
+module.exports = RateLimiter;
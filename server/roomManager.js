@@ -1,9 +1,29 @@
 // server/roomManager.js
+const crypto = require('crypto');
 const GameState = require('./gameState');
+const BotDriver = require('./botDriver');
+const CarCatalog = require('../public/js/shared/carCatalog');
+const GAME_CONSTANTS = require('../public/js/shared/constants');
+
+// Ticks simulated per interval before the loop gives up catching up
+const MAX_CATCH_UP_TICKS = 5;
+
+const PHASES = GAME_CONSTANTS.LOBBY.PHASES;
+
+// Phases a room may move to from each phase
+const PHASE_TRANSITIONS = {
+    [PHASES.WAITING]: [PHASES.SETUP],
+    [PHASES.SETUP]: [PHASES.CAR_SELECTION, PHASES.WAITING],
+    [PHASES.CAR_SELECTION]: [PHASES.COUNTDOWN, PHASES.SETUP, PHASES.WAITING],
+    [PHASES.COUNTDOWN]: [PHASES.RACING],
+    [PHASES.RACING]: [PHASES.RESULTS],
+    [PHASES.RESULTS]: [PHASES.SETUP, PHASES.WAITING]
+};
 
 class RoomManager {
     constructor() {
         this.rooms = new Map(); // Map of roomCode -> Room object
+        this.gameLoops = new Map(); // Map of roomCode -> { interval, startTimer }
     }
 
     /**
@@ -28,11 +48,11 @@ class RoomManager {
     }
 
     /**
-     * Create a new game room
+     * Create a new game room (options.pin optionally locks it with a four-digit PIN)
      */
-    createRoom(hostSocketId) {
+    createRoom(hostSocketId, options = {}) {
         const roomCode = this.generateRoomCode();
-        const room = new Room(roomCode, hostSocketId);
+        const room = new Room(roomCode, hostSocketId, options.pin);
         
         this.rooms.set(roomCode, room);
         
@@ -52,6 +72,13 @@ class RoomManager {
      * Delete a room
      */
     deleteRoom(roomCode) {
+        const room = this.rooms.get(roomCode);
+        if (room) {
+            room.clearDisconnectTimers();
+            room.clearPhaseTimer();
+            this.stopGameLoop(roomCode);
+        }
+
         const deleted = this.rooms.delete(roomCode);
         
         if (deleted) {
@@ -61,12 +88,138 @@ class RoomManager {
         return deleted;
     }
 
+    /**
+     * Start the fixed-timestep simulation loop for a room
+     * onStart fires when the loop starts running (after startDelay),
+     * snapshots are passed to onSnapshot, game events to onEvent,
+     * and onEnd fires once the race completes
+     */
+    startGameLoop(room, { onStart, onSnapshot, onEvent, onEnd } = {}, startDelay = 0) {
+        this.stopGameLoop(room.roomCode);
+
+        const tickRate = GAME_CONSTANTS.NETWORK.TICK_RATE;
+        const deltaTime = tickRate / 1000;
+        const ticksPerSnapshot = Math.max(1, Math.round(GAME_CONSTANTS.NETWORK.UPDATE_RATE / GAME_CONSTANTS.NETWORK.SNAPSHOT_RATE));
+        const loop = { interval: null, startTimer: null };
+
+        const run = () => {
+            loop.startTimer = null;
+            room.gameState.startRace();
+            if (onStart) onStart();
+
+            let accumulator = 0;
+            let lastTime = Date.now();
+
+            loop.interval = setInterval(() => {
+                const now = Date.now();
+                accumulator += now - lastTime;
+                lastTime = now;
+
+                let steps = 0;
+
+                while (accumulator >= tickRate && steps < MAX_CATCH_UP_TICKS) {
+                    this.tickRoom(room, deltaTime);
+                    accumulator -= tickRate;
+                    steps++;
+
+                    const gameState = room.gameState;
+
+                    gameState.drainEvents().forEach(event => {
+                        if (onEvent) onEvent(event);
+                    });
+
+                    if (gameState.raceEndTime) {
+                        this.stopGameLoop(room.roomCode);
+                        if (onSnapshot) onSnapshot(gameState.getSnapshot());
+                        if (onEnd) onEnd(gameState.getSnapshot());
+                        return;
+                    }
+
+                    if (onSnapshot && gameState.tick % ticksPerSnapshot === 0) {
+                        onSnapshot(gameState.getSnapshot());
+                    }
+                }
+
+                // Drop the backlog rather than spiralling after a long stall
+                if (steps === MAX_CATCH_UP_TICKS) {
+                    accumulator = 0;
+                }
+            }, tickRate);
+
+            console.log(`[ROOM MANAGER] Started game loop for room ${room.roomCode}`);
+        };
+
+        if (startDelay > 0) {
+            loop.startTimer = setTimeout(run, startDelay);
+        } else {
+            run();
+        }
+
+        this.gameLoops.set(room.roomCode, loop);
+    }
+
+    /**
+     * Stop a room's simulation loop (safe to call when none is running)
+     */
+    stopGameLoop(roomCode) {
+        const loop = this.gameLoops.get(roomCode);
+        if (!loop) return false;
+
+        if (loop.startTimer) clearTimeout(loop.startTimer);
+        if (loop.interval) clearInterval(loop.interval);
+
+        this.gameLoops.delete(roomCode);
+
+        console.log(`[ROOM MANAGER] Stopped game loop for room ${roomCode}`);
+
+        return true;
+    }
+
+    /**
+     * Check if a room's simulation loop is running or scheduled
+     */
+    isGameLoopRunning(roomCode) {
+        return this.gameLoops.has(roomCode);
+    }
+
+    /**
+     * Advance a room by one fixed tick
+     */
+    tickRoom(room, deltaTime) {
+        const gameState = room.gameState;
+
+        // Bots drive by producing the same input a phone would send
+        room.players.forEach(player => {
+            if (player.isBot) {
+                player.input = player.botDriver.getInput(gameState, gameState.getPlayer(player.playerNumber));
+            }
+        });
+
+        // Consume the latest input from every player
+        room.players.forEach(player => {
+            gameState.setPlayerInput(player.playerNumber, player.input);
+        });
+
+        gameState.update(deltaTime);
+
+        // Mirror the simulated transform back onto the room's players
+        room.players.forEach(player => {
+            const state = gameState.getPlayer(player.playerNumber);
+
+            if (state) {
+                player.position = state.position;
+                player.rotation = state.rotation;
+                player.velocity = state.velocity;
+            }
+        });
+    }
+
     /**
      * Find room by socket ID (useful for disconnect handling)
      */
     findRoomBySocketId(socketId) {
         for (let [roomCode, room] of this.rooms) {
-            if (room.hostSocketId === socketId || room.hasPlayer(socketId)) {
+            if (room.isMember(socketId)) {
                 return room;
             }
         }
@@ -90,7 +243,7 @@ class RoomManager {
         let cleanedCount = 0;
         
         for (let [roomCode, room] of this.rooms) {
-            if (now - room.createdAt > maxAge && room.players.length === 0) {
+            if (now - room.createdAt > maxAge && room.getHumanPlayers().length === 0) {
                 this.deleteRoom(roomCode);
                 cleanedCount++;
             }
@@ -108,15 +261,25 @@ class RoomManager {
  * Room class - represents a single game room
  */
 class Room {
-    constructor(roomCode, hostSocketId) {
+    constructor(roomCode, hostSocketId, pin = null) {
         this.id = this.generateId();
         this.roomCode = roomCode;
         this.hostSocketId = hostSocketId;
+        this.hostSecret = crypto.randomBytes(16).toString('hex');
+        this.pin = pin || null; // Phones must send this to join or watch
+        this.hostConnected = true;
+        this.hostDisconnectedAt = null;
+        this.hostReclaimTimer = null;
         this.players = []; // Array of Player objects
+        this.spectators = []; // Array of Spectator objects (watching, not racing)
+        this.maxPlayers = GAME_CONSTANTS.MAX_PLAYERS; // Racer cap chosen by the host
         this.selectedMap = null;
         this.gameMode = 'race'; // Default game mode
-        this.gameStarted = false;
+        this.phase = PHASES.WAITING;
+        this.phaseTimer = null; // Moves the room on by itself (e.g. results back to the lobby)
+        this.autoStartAt = null; // When the race starts by itself once everyone is ready
         this.gameState = new GameState();
+        this.disconnectTimers = new Map(); // sessionToken -> grace period timeout
         this.createdAt = Date.now();
     }
 
@@ -124,6 +287,54 @@ class Room {
         return `room_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     }
 
+    /**
+     * Whether a race is counting down or running
+     */
+    get gameStarted() {
+        return this.phase === PHASES.COUNTDOWN || this.phase === PHASES.RACING;
+    }
+
+    /**
+     * Check if the room may move from its current phase to another
+     */
+    canTransition(phase) {
+        return PHASE_TRANSITIONS[this.phase].includes(phase);
+    }
+
+    /**
+     * Move to another phase if the transition table allows it
+     * Returns false (and changes nothing) for a disallowed transition
+     */
+    setPhase(phase) {
+        if (!this.canTransition(phase)) {
+            return false;
+        }
+
+        console.log(`[ROOM] Room ${this.roomCode} phase ${this.phase} -> ${phase}`);
+
+        this.clearPhaseTimer();
+        this.phase = phase;
+
+        // Readiness only counts for the next race, and slots left open mid-race close up
+        if (phase === PHASES.WAITING || phase === PHASES.SETUP) {
+            this.resetReady();
+            this.renumberPlayers();
+        }
+
+        return true;
+    }
+
+    /**
+     * Cancel a pending automatic phase change
+     */
+    clearPhaseTimer() {
+        if (this.phaseTimer) {
+            clearTimeout(this.phaseTimer);
+            this.phaseTimer = null;
+        }
+        this.autoStartAt = null;
+    }
+
     /**
      * Add a player to the room
      */
@@ -134,8 +345,8 @@ class Room {
             return existingPlayer;
         }
 
-        const playerNumber = this.players.length + 1;
-        const isHost = playerNumber === 1; // First player is the host
+        const playerNumber = this.getNextPlayerNumber();
+        const isHost = !this.getHumanPlayers().length; // First phone is the host
 
         const player = new Player(socketId, playerName, playerNumber, isHost);
         this.players.push(player);
@@ -143,6 +354,87 @@ class Room {
         return player;
     }
 
+    /**
+     * Lowest player number not in use (numbers can have gaps after a mid-race leave)
+     */
+    getNextPlayerNumber() {
+        let playerNumber = 1;
+        while (this.players.some(p => p.playerNumber === playerNumber)) {
+            playerNumber++;
+        }
+        return playerNumber;
+    }
+
+    /**
+     * Check if every racer slot is taken
+     */
+    isFull() {
+        return this.players.length >= this.maxPlayers;
+    }
+
+    /**
+     * Change the racer cap (never below the racers already in the room)
+     */
+    setMaxPlayers(maxPlayers) {
+        if (!Number.isInteger(maxPlayers) ||
+            maxPlayers < GAME_CONSTANTS.MIN_PLAYERS ||
+            maxPlayers > GAME_CONSTANTS.MAX_PLAYERS_LIMIT ||
+            maxPlayers < this.players.length) {
+            return false;
+        }
+
+        this.maxPlayers = maxPlayers;
+        return true;
+    }
+
+    /**
+     * Add a bot driver in the next free slot
+     * Bots get a pseudo socket ID and a random car, and are always car-selected
+     */
+    addBot(difficulty) {
+        const driver = new BotDriver(difficulty);
+        const carIds = CarCatalog.getCarIds();
+        const label = driver.difficulty.charAt(0).toUpperCase() + driver.difficulty.slice(1);
+
+        const bot = new Player(`bot_${crypto.randomBytes(8).toString('hex')}`, `${label} Bot`, this.getNextPlayerNumber());
+        bot.isBot = true;
+        bot.botDifficulty = driver.difficulty;
+        bot.botDriver = driver;
+        bot.selectedCar = carIds[Math.floor(Math.random() * carIds.length)];
+        bot.carSelected = true;
+        bot.ready = true; // Bots never hold up the start
+
+        this.players.push(bot);
+
+        return bot;
+    }
+
+    /**
+     * Remove a bot by player number, or the last bot if none is given
+     */
+    removeBot(playerNumber = null) {
+        const bots = this.getBots();
+        const bot = playerNumber === null ?
+            bots[bots.length - 1] :
+            bots.find(b => b.playerNumber === playerNumber);
+
+        return bot ? this.removePlayer(bot.socketId) : null;
+    }
+
+    /**
+     * Get the bot players
+     */
+    getBots() {
+        return this.players.filter(p => p.isBot);
+    }
+
+    /**
+     * Get the players on phones
+     */
+    getHumanPlayers() {
+        return this.players.filter(p => !p.isBot);
+    }
+
     /**
      * Remove a player from the room
      */
@@ -151,12 +443,18 @@ class Room {
         
         if (index !== -1) {
             const [removedPlayer] = this.players.splice(index, 1);
-            
-            // Reassign player numbers
-            this.players.forEach((player, idx) => {
-                player.playerNumber = idx + 1;
-                // First player becomes new host if old host left
-                player.isHost = (idx === 0);
+
+            // The race simulates buggies by player number, so numbers hold until it is over
+            if (this.gameStarted) {
+                this.gameState.retirePlayer(removedPlayer.playerNumber);
+            } else {
+                this.renumberPlayers();
+            }
+
+            // First phone becomes new host if old host left
+            const firstHuman = this.players.find(p => !p.isBot);
+            this.players.forEach(player => {
+                player.isHost = (player === firstHuman);
             });
             
             return removedPlayer;
@@ -165,6 +463,164 @@ class Room {
         return null;
     }
 
+    /**
+     * Number the players 1..N in slot order
+     */
+    renumberPlayers() {
+        this.players.forEach((player, idx) => {
+            player.playerNumber = idx + 1;
+        });
+    }
+
+    /**
+     * Add a watching device to the room
+     */
+    addSpectator(socketId, name) {
+        const existingSpectator = this.getSpectatorBySocketId(socketId);
+        if (existingSpectator) {
+            return existingSpectator;
+        }
+
+        const spectator = new Spectator(socketId, name);
+        this.spectators.push(spectator);
+
+        return spectator;
+    }
+
+    /**
+     * Remove a spectator from the room
+     */
+    removeSpectator(socketId) {
+        const index = this.spectators.findIndex(s => s.socketId === socketId);
+        if (index === -1) return null;
+
+        const [removedSpectator] = this.spectators.splice(index, 1);
+        return removedSpectator;
+    }
+
+    /**
+     * Get spectator by socket ID
+     */
+    getSpectatorBySocketId(socketId) {
+        return this.spectators.find(s => s.socketId === socketId);
+    }
+
+    /**
+     * Check if room has a specific spectator
+     */
+    hasSpectator(socketId) {
+        return this.spectators.some(s => s.socketId === socketId);
+    }
+
+    /**
+     * Mark the desktop host as missing while keeping the room open
+     */
+    markHostDisconnected(reclaimTimer) {
+        this.hostConnected = false;
+        this.hostDisconnectedAt = Date.now();
+        this.hostReclaimTimer = reclaimTimer;
+    }
+
+    /**
+     * Check a PIN sent by a phone (rooms without a PIN accept anything)
+     */
+    checkPin(pin) {
+        if (!this.pin) return true;
+        if (typeof pin !== 'string' || pin.length !== this.pin.length) return false;
+
+        return crypto.timingSafeEqual(Buffer.from(pin), Buffer.from(this.pin));
+    }
+
+    /**
+     * Rebind the room to a new desktop socket if the host secret matches
+     */
+    reclaimHost(hostSecret, socketId) {
+        if (typeof hostSecret !== 'string' || hostSecret.length !== this.hostSecret.length) {
+            return false;
+        }
+
+        if (!crypto.timingSafeEqual(Buffer.from(hostSecret), Buffer.from(this.hostSecret))) {
+            return false;
+        }
+
+        if (this.hostReclaimTimer) {
+            clearTimeout(this.hostReclaimTimer);
+            this.hostReclaimTimer = null;
+        }
+
+        this.hostSocketId = socketId;
+        this.hostConnected = true;
+        this.hostDisconnectedAt = null;
+
+        return true;
+    }
+
+    /**
+     * Mark a player as disconnected while keeping their slot
+     */
+    markPlayerDisconnected(socketId) {
+        const player = this.getPlayerBySocketId(socketId);
+
+        if (player) {
+            player.connected = false;
+            player.disconnectedAt = Date.now();
+
+            // Let go of the controls rather than holding the last input for the grace period
+            player.resetInput();
+        }
+
+        return player;
+    }
+
+    /**
+     * Reattach a new socket to a held player slot
+     */
+    resumePlayer(sessionToken, socketId) {
+        const player = this.getPlayerBySessionToken(sessionToken);
+        if (!player) return null;
+
+        this.clearDisconnectTimer(sessionToken);
+
+        player.socketId = socketId;
+        player.connected = true;
+        player.disconnectedAt = null;
+
+        return player;
+    }
+
+    /**
+     * Track the grace period timeout for a dropped player
+     */
+    setDisconnectTimer(sessionToken, timeout) {
+        this.clearDisconnectTimer(sessionToken);
+        this.disconnectTimers.set(sessionToken, timeout);
+    }
+
+    /**
+     * Cancel the grace period timeout for a player
+     */
+    clearDisconnectTimer(sessionToken) {
+        const timeout = this.disconnectTimers.get(sessionToken);
+
+        if (timeout) {
+            clearTimeout(timeout);
+            this.disconnectTimers.delete(sessionToken);
+        }
+    }
+
+    /**
+     * Cancel all pending grace period and host reclaim timeouts (room is being deleted)
+     */
+    clearDisconnectTimers() {
+        this.disconnectTimers.forEach(timeout => clearTimeout(timeout));
+        this.disconnectTimers.clear();
+
+        if (this.hostReclaimTimer) {
+            clearTimeout(this.hostReclaimTimer);
+            this.hostReclaimTimer = null;
+        }
+    }
+
     /**
      * Get player by socket ID
      */
@@ -172,6 +628,14 @@ class Room {
         return this.players.find(p => p.socketId === socketId);
     }
 
+    /**
+     * Get player by session token
+     */
+    getPlayerBySessionToken(sessionToken) {
+        if (!sessionToken) return undefined;
+        return this.players.find(p => p.sessionToken === sessionToken);
+    }
+
     /**
      * Check if room has a specific player
      */
@@ -179,6 +643,13 @@ class Room {
         return this.players.some(p => p.socketId === socketId);
     }
 
+    /**
+     * Check if a socket belongs to the room (its screen, a racer or a spectator)
+     */
+    isMember(socketId) {
+        return this.hostSocketId === socketId || this.hasPlayer(socketId) || this.hasSpectator(socketId);
+    }
+
     /**
      * Get current room state (for syncing)
      */
@@ -186,20 +657,53 @@ class Room {
         return {
             roomCode: this.roomCode,
             hostSocketId: this.hostSocketId,
+            hostConnected: this.hostConnected,
             players: this.players.map(p => p.getState()),
+            spectators: this.spectators.map(s => s.getState()),
+            maxPlayers: this.maxPlayers,
+            hasPin: Boolean(this.pin),
             selectedMap: this.selectedMap,
             gameMode: this.gameMode,
+            phase: this.phase,
+            autoStartAt: this.autoStartAt,
             gameStarted: this.gameStarted,
             createdAt: this.createdAt
         };
     }
 
+    /**
+     * Get each player's selected car keyed by player number
+     */
+    getSelectedCars() {
+        const cars = {};
+        this.players.forEach(p => {
+            cars[p.playerNumber] = p.selectedCar;
+        });
+        return cars;
+    }
+
     /**
      * Check if all players have selected their cars
      */
     allCarsSelected() {
         return this.players.length > 0 && this.players.every(p => p.carSelected);
     }
+
+    /**
+     * Check if all players have readied up
+     */
+    allReady() {
+        return this.players.length > 0 && this.players.every(p => p.ready);
+    }
+
+    /**
+     * Clear every phone player's ready flag
+     */
+    resetReady() {
+        this.getHumanPlayers().forEach(p => {
+            p.ready = false;
+        });
+    }
 }
 
 /**
@@ -208,23 +712,37 @@ class Room {
 class Player {
     constructor(socketId, playerName, playerNumber, isHost = false) {
         this.socketId = socketId;
+        this.sessionToken = crypto.randomBytes(16).toString('hex');
         this.playerName = playerName;
         this.playerNumber = playerNumber;
         this.isHost = isHost;
         this.selectedCar = null;
         this.carSelected = false;
-        this.input = {
-            steering: 0,    // -1 (left) to 1 (right)
-            brake: false,   // true when brake/drift button pressed
-            timestamp: Date.now()
-        };
+        this.resetInput(); // Neutral controls until the phone sends some
         this.position = { x: 0, y: 0, z: 0 };
         this.rotation = { x: 0, y: 0, z: 0 };
         this.velocity = { x: 0, y: 0, z: 0 };
         this.ready = false;
+        this.isBot = false;
+        this.botDifficulty = null;
+        this.botDriver = null; // BotDriver for bot players
+        this.connected = true;
+        this.disconnectedAt = null;
         this.connectedAt = Date.now();
     }
 
+    /**
+     * Put the controls back to neutral
+     */
+    resetInput() {
+        this.input = {
+            steering: 0,    // -1 (left) to 1 (right)
+            brake: false,   // true when brake/drift button pressed
+            useItem: false,
+            timestamp: Date.now()
+        };
+    }
+
     /**
      * Get player state (for syncing)
      */
@@ -237,6 +755,9 @@ class Player {
             selectedCar: this.selectedCar,
             carSelected: this.carSelected,
             ready: this.ready,
+            isBot: this.isBot,
+            botDifficulty: this.botDifficulty,
+            connected: this.connected,
             position: this.position,
             rotation: this.rotation,
             velocity: this.velocity
@@ -244,4 +765,26 @@ class Player {
     }
 }
 
+/**
+ * Spectator class - a device following the room without a racer slot
+ */
+class Spectator {
+    constructor(socketId, name) {
+        this.socketId = socketId;
+        this.name = name;
+        this.joinedAt = Date.now();
+    }
+
+    /**
+     * Get spectator state (for syncing)
+     */
+    getState() {
+        return {
+            socketId: this.socketId,
+            name: this.name,
+            joinedAt: this.joinedAt
+        };
+    }
+}
+
 module.exports = RoomManager;
@@ -6,6 +6,12 @@ const path = require('path');
 const cors = require('cors');
 const QRCode = require('qrcode');
 const RoomManager = require('./roomManager');
+const PersonalBestStore = require('./personalBestStore');
+const RateLimiter = require('./rateLimiter');
+const JoinThrottle = require('./joinThrottle');
+const GAME_CONSTANTS = require('../public/js/shared/constants');
+const CarCatalog = require('../public/js/shared/carCatalog');
+const LatencyMonitor = require('../public/js/shared/latencyMonitor');
 
 // Initialize Express app
 const app = express();
@@ -29,6 +35,277 @@ app.use(express.static(path.join(__dirname, '../public')));
 // Initialize Room Manager
 const roomManager = new RoomManager();
 
+// Time trial personal bests (best lap and ghost per map and car)
+const personalBestStore = new PersonalBestStore(
+    process.env.PERSONAL_BEST_FILE || path.join(__dirname, 'data', 'personalBests.json')
+);
+
+// Per-socket message limits (token buckets per event type)
+const rateLimitConfig = RateLimiter.loadConfig(
+    process.env.RATE_LIMIT_FILE || path.join(__dirname, 'config', 'rateLimits.json')
+);
+
+// Failed joins per IP address, against scanning for room codes and PINs
+const joinThrottle = new JoinThrottle(rateLimitConfig.joinThrottle);
+
+// How long a room survives without its desktop before closing
+const HOST_RECLAIM_WINDOW = Number(process.env.HOST_RECLAIM_WINDOW) || GAME_CONSTANTS.NETWORK.HOST_RECLAIM_WINDOW;
+
+// Connection ratings the host is warned about before a race
+const POOR_QUALITY = ['poor', 'bad'];
+
+// How many devices can watch a room besides its racers
+const MAX_SPECTATORS = Number(process.env.MAX_SPECTATORS) || GAME_CONSTANTS.MAX_SPECTATORS;
+
+// Who may send a client event to a room
+const ACCESS = {
+    NONE: 'none', // Anyone, the handler does its own checks (codes, tokens, secrets)
+    MEMBER: 'member', // The room's screen, a racer or a spectator
+    CONTROLLER_HOST: 'controllerHost', // The phone with player.isHost
+    SCREEN_HOST: 'screenHost', // The desktop bound to the room by createRoom/reclaimRoom
+    ANY_HOST: 'anyHost' // Either the host controller or the game screen
+};
+
+// Access required for every client event; events not listed here are rejected
+const EVENT_ACCESS = {
+    createRoom: ACCESS.NONE,
+    reclaimRoom: ACCESS.NONE,
+    joinRoom: ACCESS.NONE,
+    resumeSession: ACCESS.NONE,
+    spectateRoom: ACCESS.NONE,
+    ping: ACCESS.NONE,
+    getRoomState: ACCESS.MEMBER,
+    claimRacerSlot: ACCESS.MEMBER,
+    controllerInput: ACCESS.MEMBER,
+    controllerInputSequenced: ACCESS.MEMBER,
+    selectCar: ACCESS.MEMBER,
+    setReady: ACCESS.MEMBER,
+    stateAcknowledged: ACCESS.MEMBER,
+    networkStats: ACCESS.MEMBER,
+    selectMap: ACCESS.CONTROLLER_HOST,
+    selectGameMode: ACCESS.CONTROLLER_HOST,
+    setMaxPlayers: ACCESS.CONTROLLER_HOST,
+    addBot: ACCESS.CONTROLLER_HOST,
+    removeBot: ACCESS.CONTROLLER_HOST,
+    cancelAutoStart: ACCESS.ANY_HOST,
+    startCarSelection: ACCESS.SCREEN_HOST,
+    startGame: ACCESS.SCREEN_HOST,
+    returnToLobby: ACCESS.SCREEN_HOST,
+    gameStateUpdate: ACCESS.SCREEN_HOST
+};
+
+// Events with a handler (each gets its own rate limit bucket)
+const KNOWN_EVENTS = new Set(Object.keys(EVENT_ACCESS));
+
+const PHASES = GAME_CONSTANTS.LOBBY.PHASES;
+const LOBBY_PHASES = [PHASES.WAITING, PHASES.SETUP, PHASES.CAR_SELECTION];
+
+// Phases a racer can join in; joinRoom checks them itself after the code and PIN,
+// so a phase error never confirms that a room exists
+const JOIN_PHASES = [...LOBBY_PHASES, PHASES.RESULTS];
+
+// Room phases an event is accepted in; events not listed work in any phase
+const EVENT_PHASES = {
+    claimRacerSlot: JOIN_PHASES,
+    selectMap: [PHASES.WAITING, PHASES.SETUP],
+    selectGameMode: [PHASES.WAITING, PHASES.SETUP],
+    setMaxPlayers: LOBBY_PHASES,
+    addBot: LOBBY_PHASES,
+    removeBot: LOBBY_PHASES,
+    startCarSelection: [PHASES.SETUP],
+    selectCar: [PHASES.CAR_SELECTION],
+    setReady: LOBBY_PHASES,
+    cancelAutoStart: [PHASES.CAR_SELECTION],
+    startGame: [PHASES.CAR_SELECTION],
+    returnToLobby: [PHASES.CAR_SELECTION, PHASES.RESULTS]
+};
+
+// Field rules shared by several event schemas
+const ROOM_CODE = { type: 'string', required: true, pattern: /^\d{6}$/ };
+const LATENCY_MS = { type: 'number', required: true, min: 0, max: 60000 };
+const ROOM_PIN = { type: 'string', pattern: /^\d{4}$/ };
+const DISPLAY_NAME = { type: 'string', maxLength: GAME_CONSTANTS.PLAYER_NAME_MAX_LENGTH };
+const CONTROLLER_INPUT = {
+    type: 'object',
+    required: true,
+    fields: {
+        steering: { type: 'number', required: true, min: -1, max: 1 },
+        brake: { type: 'boolean', required: true },
+        useItem: { type: 'boolean' },
+        timestamp: { type: 'number', required: true, min: 0 }
+    }
+};
+
+// Payload schema for every client event (checked before EVENT_ACCESS)
+// A rule with fields describes an object payload; an optional payload may be left out
+const EVENT_SCHEMAS = {
+    createRoom: {
+        type: 'object',
+        fields: {
+            pin: ROOM_PIN
+        }
+    },
+    reclaimRoom: {
+        type: 'object',
+        required: true,
+        fields: {
+            roomCode: ROOM_CODE,
+            hostSecret: { type: 'string', required: true, maxLength: 64 }
+        }
+    },
+    joinRoom: {
+        type: 'object',
+        required: true,
+        fields: {
+            roomCode: ROOM_CODE,
+            playerName: DISPLAY_NAME,
+            pin: ROOM_PIN
+        }
+    },
+    resumeSession: {
+        type: 'object',
+        required: true,
+        fields: {
+            roomCode: ROOM_CODE,
+            sessionToken: { type: 'string', required: true, maxLength: 64 }
+        }
+    },
+    spectateRoom: {
+        type: 'object',
+        required: true,
+        fields: {
+            roomCode: ROOM_CODE,
+            name: DISPLAY_NAME,
+            pin: ROOM_PIN
+        }
+    },
+    ping: {
+        type: 'object',
+        required: true,
+        fields: {
+            clientTime: { type: 'number', required: true, min: 0 }
+        }
+    },
+    getRoomState: ROOM_CODE,
+    claimRacerSlot: { type: 'object', required: true, fields: { roomCode: ROOM_CODE } },
+    controllerInput: {
+        type: 'object',
+        required: true,
+        fields: {
+            roomCode: ROOM_CODE,
+            input: CONTROLLER_INPUT
+        }
+    },
+    controllerInputSequenced: {
+        type: 'object',
+        required: true,
+        fields: {
+            roomCode: ROOM_CODE,
+            input: CONTROLLER_INPUT,
+            sequence: { type: 'integer', min: 0 }
+        }
+    },
+    selectCar: {
+        type: 'object',
+        required: true,
+        fields: {
+            roomCode: ROOM_CODE,
+            carId: { type: 'string', required: true, oneOf: CarCatalog.getCarIds() }
+        }
+    },
+    networkStats: {
+        type: 'object',
+        required: true,
+        fields: {
+            roomCode: ROOM_CODE,
+            stats: {
+                type: 'object',
+                required: true,
+                fields: {
+                    average: LATENCY_MS,
+                    jitter: LATENCY_MS,
+                    p95: LATENCY_MS,
+                    loss: { type: 'number', required: true, min: 0, max: 1 },
+                    quality: { type: 'string', required: true, oneOf: LatencyMonitor.QUALITY_LEVELS.map(level => level.rating) }
+                }
+            }
+        }
+    },
+    setReady: {
+        type: 'object',
+        required: true,
+        fields: {
+            roomCode: ROOM_CODE,
+            ready: { type: 'boolean', required: true }
+        }
+    },
+    stateAcknowledged: {
+        type: 'object',
+        required: true,
+        fields: {
+            roomCode: ROOM_CODE,
+            lastSequence: { type: 'integer', required: true, min: 0 }
+        }
+    },
+    selectMap: {
+        type: 'object',
+        required: true,
+        fields: {
+            roomCode: ROOM_CODE,
+            mapId: { type: 'string', required: true, oneOf: Object.values(GAME_CONSTANTS.MAPS) }
+        }
+    },
+    selectGameMode: {
+        type: 'object',
+        required: true,
+        fields: {
+            roomCode: ROOM_CODE,
+            gameMode: { type: 'string', required: true, oneOf: Object.values(GAME_CONSTANTS.GAME_MODES) }
+        }
+    },
+    setMaxPlayers: {
+        type: 'object',
+        required: true,
+        fields: {
+            roomCode: ROOM_CODE,
+            maxPlayers: {
+                type: 'integer',
+                required: true,
+                min: GAME_CONSTANTS.MIN_PLAYERS,
+                max: GAME_CONSTANTS.MAX_PLAYERS_LIMIT
+            }
+        }
+    },
+    addBot: {
+        type: 'object',
+        required: true,
+        fields: {
+            roomCode: ROOM_CODE,
+            difficulty: { type: 'string', oneOf: Object.values(GAME_CONSTANTS.BOT_DIFFICULTIES) }
+        }
+    },
+    removeBot: {
+        type: 'object',
+        required: true,
+        fields: {
+            roomCode: ROOM_CODE,
+            playerNumber: { type: 'integer', min: 1, max: GAME_CONSTANTS.MAX_PLAYERS_LIMIT }
+        }
+    },
+    cancelAutoStart: { type: 'object', required: true, fields: { roomCode: ROOM_CODE } },
+    startCarSelection: { type: 'object', required: true, fields: { roomCode: ROOM_CODE } },
+    startGame: ROOM_CODE,
+    returnToLobby: { type: 'object', required: true, fields: { roomCode: ROOM_CODE } },
+    gameStateUpdate: {
+        type: 'object',
+        required: true,
+        fields: {
+            roomCode: ROOM_CODE,
+            state: { type: 'object', required: true }
+        }
+    }
+};
+
 // ============================================
 // HTTP ROUTES
 // ============================================
@@ -78,29 +355,54 @@ app.post('/api/generate-qr', async (req, res) => {
     }
 });
 
+// HTTP status for each room entry refusal
+const ENTRY_REFUSAL_STATUS = {
+    JOIN_THROTTLED: 429,
+    ROOM_NOT_FOUND: 404,
+    PIN_REQUIRED: 401,
+    INVALID_PIN: 403
+};
+
 // API endpoint to get room info (optional, for debugging)
+// Looked up like a join (PIN as ?pin=), so it cannot be used to scan for room codes
 app.get('/api/room/:roomCode', (req, res) => {
     const room = roomManager.getRoom(req.params.roomCode);
+    const refusal = checkRoomEntry(req.socket.remoteAddress, room, req.query.pin);
     
-    if (!room) {
-        return res.status(404).json({ error: 'Room not found' });
+    if (refusal) {
+        return res.status(ENTRY_REFUSAL_STATUS[refusal.code]).json({ success: false, ...refusal });
     }
     
-    res.json({ success: true, room: room.getState() });
+    res.json({
+        success: true,
+        room: room.getState(),
+        rateLimits: getRoomRateLimits(room),
+        network: getRoomNetworkHealth(room)
+    });
 });
 
-// API endpoint to get all rooms (optional, for debugging)
-app.get('/api/rooms', (req, res) => {
-    const rooms = roomManager.getAllRooms().map(room => ({
-        roomCode: room.roomCode,
-        playerCount: room.players.length,
-        gameStarted: room.gameStarted,
-        createdAt: room.createdAt
-    }));
+// API endpoint to get time trial personal bests, optionally for one map
+app.get('/api/personal-bests{/:mapId}', (req, res) => {
+    const records = personalBestStore.list(req.params.mapId);
     
-    res.json({ success: true, rooms: rooms, count: rooms.size });
+    res.json({ success: true, personalBests: records, count: records.length });
 });
 
+// API endpoint to get all rooms (debug builds only, it lists every room code)
+if (process.env.DEBUG_API) {
+    app.get('/api/rooms', (req, res) => {
+        const rooms = roomManager.getAllRooms().map(room => ({
+            roomCode: room.roomCode,
+            playerCount: room.players.length,
+            phase: room.phase,
+            gameStarted: room.gameStarted,
+            createdAt: room.createdAt
+        }));
+        
+        res.json({ success: true, rooms: rooms, count: rooms.length });
+    });
+}
+
 // ============================================
 // SOCKET.IO CONNECTION HANDLING
 // ============================================
@@ -108,25 +410,80 @@ app.get('/api/rooms', (req, res) => {
 io.on('connection', (socket) => {
     console.log(`[CONNECTION] New socket connected: ${socket.id}`);
 
+    // Payloads that fail their schema are counted per socket
+    socket.data.invalidPayloads = 0;
+    socket.data.rateLimiter = new RateLimiter(rateLimitConfig, KNOWN_EVENTS);
+
+    // Connection health: round trips timed from this end, and the stats a controller reports
+    socket.data.networkMonitor = new LatencyMonitor({ logging: false });
+    socket.data.reportedNetwork = null;
+
+    // Every inbound event is rate limited, then checked against EVENT_SCHEMAS and EVENT_ACCESS before its handler runs
+    socket.use((packet, next) => {
+        const [eventName, ...args] = packet;
+
+        // Floods are dropped; only events waiting on an ack get a reply, so callers do not hang
+        if (!socket.data.rateLimiter.consume(eventName)) {
+            if (socket.data.rateLimiter.shouldKick()) {
+                kickSocket(socket, 'Too many messages');
+            } else if (typeof args[args.length - 1] === 'function') {
+                rejectEvent(socket, eventName, args, { error: 'Too many messages, slow down', code: 'RATE_LIMITED' });
+            }
+            return;
+        }
+
+        const invalid = validatePayload(eventName, args);
+        if (invalid) {
+            socket.data.invalidPayloads++;
+            console.warn(`[VALIDATION] Rejected ${eventName} from ${socket.id} (${socket.data.invalidPayloads} so far): ${invalid.error}`);
+            rejectEvent(socket, eventName, args, invalid);
+            return;
+        }
+
+        const denial = authorizeEvent(socket, eventName, args);
+        if (denial) {
+            console.warn(`[AUTH] Rejected ${eventName} from ${socket.id}: ${denial.error}`);
+            rejectEvent(socket, eventName, args, denial);
+            return;
+        }
+
+        const outOfPhase = checkEventPhase(eventName, args);
+        if (outOfPhase) {
+            console.warn(`[PHASE] Rejected ${eventName} from ${socket.id}: ${outOfPhase.error}`);
+            rejectEvent(socket, eventName, args, outOfPhase);
+            return;
+        }
+
+        next();
+    });
+
     // ==========================================
     // DESKTOP (GAME HOST) EVENTS
     // ==========================================
 
-    // Desktop creates a new game room
-    socket.on('createRoom', (callback) => {
+    // Desktop creates a new game room (options are optional, e.g. { pin: '1234' })
+    socket.on('createRoom', (options, callback) => {
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
         try {
-            const room = roomManager.createRoom(socket.id);
+            const room = roomManager.createRoom(socket.id, { pin: options && options.pin });
             socket.join(room.roomCode);
             
-            console.log(`[CREATE ROOM] Desktop ${socket.id} created room ${room.roomCode}`);
+            console.log(`[CREATE ROOM] Desktop ${socket.id} created room ${room.roomCode}${room.pin ? ' with a PIN' : ''}`);
             
-            // Send room details back to desktop
+            // Send room details back to desktop (host secret lets it reclaim the room after a refresh)
             if (callback) {
                 callback({
                     success: true,
                     roomCode: room.roomCode,
                     roomId: room.id,
-                    controllerUrl: `${getServerURL()}/controller?room=${room.roomCode}`
+                    hostSecret: room.hostSecret,
+                    pin: room.pin,
+                    maxPlayers: room.maxPlayers,
+                    controllerUrl: getControllerURL(room)
                 });
             }
         } catch (error) {
@@ -137,6 +494,50 @@ io.on('connection', (socket) => {
         }
     });
 
+    // Desktop reclaims its room after a refresh or dropped connection
+    socket.on('reclaimRoom', (data, callback) => {
+        try {
+            const { roomCode, hostSecret } = data || {};
+
+            const room = roomManager.getRoom(roomCode);
+
+            if (!room) {
+                if (callback) callback({ success: false, error: 'Room not found' });
+                return;
+            }
+
+            if (!room.reclaimHost(hostSecret, socket.id)) {
+                console.warn(`[RECLAIM ROOM] Rejected reclaim attempt for room ${roomCode} from ${socket.id}`);
+                if (callback) callback({ success: false, error: 'Invalid host secret' });
+                return;
+            }
+
+            socket.join(roomCode);
+
+            console.log(`[RECLAIM ROOM] Desktop ${socket.id} reclaimed room ${roomCode}`);
+
+            if (callback) {
+                callback({
+                    success: true,
+                    roomCode: room.roomCode,
+                    roomId: room.id,
+                    pin: room.pin,
+                    controllerUrl: getControllerURL(room),
+                    room: room.getState()
+                });
+            }
+
+            // Let phones drop their "waiting for screen" notice
+            socket.to(roomCode).emit('hostReconnected', {
+                room: room.getState()
+            });
+
+        } catch (error) {
+            console.error('[RECLAIM ROOM ERROR]', error);
+            if (callback) callback({ success: false, error: error.message });
+        }
+    });
+
     // Desktop requests current room state
     socket.on('getRoomState', (roomCode, callback) => {
         try {
@@ -159,27 +560,63 @@ io.on('connection', (socket) => {
         }
     });
 
+    // Desktop moves the lobby on to car selection
+    socket.on('startCarSelection', (data, callback) => {
+        try {
+            const room = roomManager.getRoom(data.roomCode);
+
+            if (!room) {
+                if (callback) callback({ success: false, error: 'Room not found' });
+                return;
+            }
+
+            if (!setRoomPhase(room, PHASES.CAR_SELECTION)) {
+                if (callback) callback({ success: false, error: `Cannot pick cars during ${room.phase}` });
+                return;
+            }
+
+            console.log(`[CAR SELECTION] Room ${room.roomCode} is picking cars`);
+            if (callback) callback({ success: true });
+        } catch (error) {
+            console.error('[START CAR SELECTION ERROR]', error);
+            if (callback) callback({ success: false, error: error.message });
+        }
+    });
+
     // Desktop starts the game
-    socket.on('startGame', (roomCode) => {
+    socket.on('startGame', (roomCode, callback) => {
         try {
             const room = roomManager.getRoom(roomCode);
             
             if (!room) {
                 console.error('[START GAME] Room not found:', roomCode);
+                if (callback) callback({ success: false, error: 'Room not found' });
                 return;
             }
 
-            room.gameStarted = true;
-            
-            // Notify all players in the room that game is starting
-            io.to(roomCode).emit('gameStarting', {
-                countdown: 3,
-                timestamp: Date.now()
-            });
-
-            console.log(`[START GAME] Room ${roomCode} game started`);
+            const result = startRace(room);
+            if (callback) callback(result);
         } catch (error) {
             console.error('[START GAME ERROR]', error);
+            if (callback) callback({ success: false, error: error.message });
+        }
+    });
+
+    // Desktop skips the rest of the results screen, or backs out of car selection to change the setup
+    socket.on('returnToLobby', (data, callback) => {
+        try {
+            const room = roomManager.getRoom(data.roomCode);
+
+            if (!room) {
+                if (callback) callback({ success: false, error: 'Room not found' });
+                return;
+            }
+
+            returnRoomToLobby(room);
+            if (callback) callback({ success: true, phase: room.phase });
+        } catch (error) {
+            console.error('[RETURN TO LOBBY ERROR]', error);
+            if (callback) callback({ success: false, error: error.message });
         }
     });
 
@@ -190,7 +627,7 @@ io.on('connection', (socket) => {
     // Mobile controller joins a room
     socket.on('joinRoom', (data, callback) => {
         try {
-            const { roomCode, playerName } = data;
+            const { roomCode, playerName, pin } = data;
             
             if (!roomCode) {
                 if (callback) callback({ success: false, error: 'Room code required' });
@@ -198,38 +635,58 @@ io.on('connection', (socket) => {
             }
 
             const room = roomManager.getRoom(roomCode);
+            const refusal = checkRoomEntry(socket.handshake.address, room, pin);
             
-            if (!room) {
-                if (callback) callback({ success: false, error: 'Room not found' });
+            if (refusal) {
+                if (callback) callback({ success: false, ...refusal });
+                return;
+            }
+
+            if (!JOIN_PHASES.includes(room.phase)) {
+                if (callback) callback({ success: false, error: `Not allowed during ${room.phase}`, code: 'WRONG_PHASE' });
+                return;
+            }
+
+            if (room.hasSpectator(socket.id)) {
+                if (callback) callback({ success: false, error: 'Already spectating, claim a racer slot instead' });
                 return;
             }
 
-            if (room.players.length >= 4) {
-                if (callback) callback({ success: false, error: 'Room is full (max 4 players)' });
+            // A phone takes over a bot's slot when the room is full
+            releaseBotSlot(room);
+
+            if (room.isFull()) {
+                if (callback) callback({ success: false, error: `Room is full (max ${room.maxPlayers} players)` });
                 return;
             }
 
             // Add player to room
             const player = room.addPlayer(socket.id, playerName || `Player ${room.players.length + 1}`);
             socket.join(roomCode);
+            syncLobbyPhase(room);
+            updateAutoStart(room);
             
             console.log(`[JOIN ROOM] ${playerName} (${socket.id}) joined room ${roomCode} as Player ${player.playerNumber}`);
 
-            // Notify the joining player
+            // Notify the joining player (session token lets them resume after a drop)
             if (callback) {
                 callback({
                     success: true,
                     playerNumber: player.playerNumber,
                     isHost: player.isHost,
-                    roomCode: roomCode
+                    roomCode: roomCode,
+                    sessionToken: player.sessionToken,
+                    maxPlayers: room.maxPlayers,
+                    phase: room.phase
                 });
             }
 
             // Notify all clients in the room about the new player
             io.to(roomCode).emit('playerJoined', {
-                player: player,
+                player: player.getState(),
                 totalPlayers: room.players.length,
-                players: room.players
+                maxPlayers: room.maxPlayers,
+                players: room.players.map(p => p.getState())
             });
 
         } catch (error) {
@@ -238,6 +695,168 @@ io.on('connection', (socket) => {
         }
     });
 
+    // Mobile controller reattaches to its held slot after a dropped connection
+    socket.on('resumeSession', (data, callback) => {
+        try {
+            const { roomCode, sessionToken } = data || {};
+
+            const room = roomManager.getRoom(roomCode);
+
+            if (!room) {
+                if (callback) callback({ success: false, error: 'Room not found' });
+                return;
+            }
+
+            const player = room.resumePlayer(sessionToken, socket.id);
+
+            if (!player) {
+                if (callback) callback({ success: false, error: 'Session expired' });
+                return;
+            }
+
+            socket.join(roomCode);
+
+            console.log(`[RESUME SESSION] Player ${player.playerNumber} (${socket.id}) resumed in room ${roomCode}`);
+
+            if (callback) {
+                callback({
+                    success: true,
+                    playerNumber: player.playerNumber,
+                    playerName: player.playerName,
+                    isHost: player.isHost,
+                    roomCode: roomCode,
+                    sessionToken: player.sessionToken,
+                    selectedCar: player.selectedCar,
+                    hostConnected: room.hostConnected,
+                    gameStarted: room.gameStarted,
+                    phase: room.phase
+                });
+            }
+
+            io.to(roomCode).emit('playerRejoined', {
+                player: player.getState(),
+                totalPlayers: room.players.length,
+                maxPlayers: room.maxPlayers,
+                players: room.players.map(p => p.getState())
+            });
+
+        } catch (error) {
+            console.error('[RESUME SESSION ERROR]', error);
+            if (callback) callback({ success: false, error: error.message });
+        }
+    });
+
+    // Device joins a room to watch without taking a racer slot
+    socket.on('spectateRoom', (data, callback) => {
+        try {
+            const { roomCode, name, pin } = data;
+            
+            const room = roomManager.getRoom(roomCode);
+            const refusal = checkRoomEntry(socket.handshake.address, room, pin);
+
+            if (refusal) {
+                if (callback) callback({ success: false, ...refusal });
+                return;
+            }
+
+            if (room.hasPlayer(socket.id)) {
+                if (callback) callback({ success: false, error: 'Already racing in this room' });
+                return;
+            }
+
+            if (room.spectators.length >= MAX_SPECTATORS) {
+                if (callback) callback({ success: false, error: `Too many spectators (max ${MAX_SPECTATORS})` });
+                return;
+            }
+
+            const spectator = room.addSpectator(socket.id, name || `Spectator ${room.spectators.length + 1}`);
+            socket.join(roomCode);
+
+            console.log(`[SPECTATE] ${spectator.name} (${socket.id}) is watching room ${roomCode}`);
+
+            if (callback) {
+                callback({
+                    success: true,
+                    roomCode: roomCode,
+                    room: room.getState()
+                });
+            }
+
+            io.to(roomCode).emit('spectatorsUpdated', {
+                spectators: room.spectators.map(s => s.getState())
+            });
+
+        } catch (error) {
+            console.error('[SPECTATE ERROR]', error);
+            if (callback) callback({ success: false, error: error.message });
+        }
+    });
+
+    // Spectator moves into a free racer slot between races
+    socket.on('claimRacerSlot', (data, callback) => {
+        try {
+            const { roomCode } = data;
+            
+            const room = roomManager.getRoom(roomCode);
+            if (!room) {
+                if (callback) callback({ success: false, error: 'Room not found' });
+                return;
+            }
+
+            const spectator = room.getSpectatorBySocketId(socket.id);
+            if (!spectator) {
+                if (callback) callback({ success: false, error: 'Not spectating this room' });
+                return;
+            }
+
+            if (room.gameStarted) {
+                if (callback) callback({ success: false, error: 'Wait for the current race to finish' });
+                return;
+            }
+
+            releaseBotSlot(room);
+
+            if (room.isFull()) {
+                if (callback) callback({ success: false, error: 'No free racer slot' });
+                return;
+            }
+
+            room.removeSpectator(socket.id);
+            const player = room.addPlayer(socket.id, spectator.name);
+            syncLobbyPhase(room);
+            updateAutoStart(room);
+
+            console.log(`[CLAIM SLOT] ${spectator.name} (${socket.id}) moved from spectating to Player ${player.playerNumber} in room ${roomCode}`);
+
+            if (callback) {
+                callback({
+                    success: true,
+                    playerNumber: player.playerNumber,
+                    isHost: player.isHost,
+                    roomCode: roomCode,
+                    sessionToken: player.sessionToken,
+                    maxPlayers: room.maxPlayers,
+                    phase: room.phase
+                });
+            }
+
+            io.to(roomCode).emit('playerJoined', {
+                player: player.getState(),
+                totalPlayers: room.players.length,
+                maxPlayers: room.maxPlayers,
+                players: room.players.map(p => p.getState())
+            });
+
+            io.to(roomCode).emit('spectatorsUpdated', {
+                spectators: room.spectators.map(s => s.getState())
+            });
+
+        } catch (error) {
+            console.error('[CLAIM SLOT ERROR]', error);
+            if (callback) callback({ success: false, error: error.message });
+        }
+    });
+
     // Mobile controller sends input (basic version)
     socket.on('controllerInput', (data) => {
         try {
@@ -249,13 +868,17 @@ io.on('connection', (socket) => {
             const player = room.getPlayerBySocketId(socket.id);
             if (!player) return;
 
+            // Input feeds the server simulation (its schema was checked before this handler ran)
+            const sanitized = sanitizeInput(input);
+            if (checkFalseStart(room, player, sanitized)) return;
+
             // Update player's input state
-            player.input = input;
+            player.input = sanitized;
 
             // Broadcast input to desktop (game host) only
             socket.to(room.hostSocketId).emit('playerInput', {
                 playerNumber: player.playerNumber,
-                input: input,
+                input: sanitized,
                 timestamp: Date.now()
             });
 
@@ -275,22 +898,18 @@ io.on('connection', (socket) => {
             const player = room.getPlayerBySocketId(socket.id);
             if (!player) return;
 
-            // Validate input
-            const validation = validateInput(input);
-            if (!validation.valid) {
-                console.warn(`[INPUT VALIDATION] Invalid input from Player ${player.playerNumber}:`, validation.errors);
-                return;
-            }
-
             // Update player's input state with validated input
-            player.input = validation.sanitized;
+            const sanitized = sanitizeInput(input);
+            if (checkFalseStart(room, player, sanitized)) return;
+
+            player.input = sanitized;
             player.lastInputSequence = sequence || 0;
             player.lastInputTime = Date.now();
 
             // Broadcast to desktop with sequence number for reconciliation
             socket.to(room.hostSocketId).emit('playerInputSequenced', {
                 playerNumber: player.playerNumber,
-                input: validation.sanitized,
+                input: sanitized,
                 sequence: sequence || 0,
                 timestamp: Date.now()
             });
@@ -320,24 +939,63 @@ io.on('connection', (socket) => {
             io.to(roomCode).emit('carSelected', {
                 playerNumber: player.playerNumber,
                 carId: carId,
-                players: room.players
+                players: room.players.map(p => p.getState())
             });
 
+            updateAutoStart(room);
+
         } catch (error) {
             console.error('[SELECT CAR ERROR]', error);
         }
     });
 
-    // Player selects map (only host/Player 1)
-    socket.on('selectMap', (data) => {
+    // Player toggles whether they are ready to race
+    socket.on('setReady', (data, callback) => {
         try {
-            const { roomCode, mapId } = data;
-            
+            const { roomCode, ready } = data;
+
             const room = roomManager.getRoom(roomCode);
-            if (!room) return;
+            if (!room) {
+                if (callback) callback({ success: false, error: 'Room not found' });
+                return;
+            }
 
             const player = room.getPlayerBySocketId(socket.id);
-            if (!player || !player.isHost) {
+            if (!player) {
+                if (callback) callback({ success: false, error: 'Only racers can ready up' });
+                return;
+            }
+
+            player.ready = ready;
+
+            console.log(`[READY] Player ${player.playerNumber} in room ${roomCode} is ${ready ? 'ready' : 'not ready'}`);
+
+            io.to(roomCode).emit('playerReady', {
+                playerNumber: player.playerNumber,
+                ready: ready,
+                players: room.players.map(p => p.getState())
+            });
+
+            updateAutoStart(room);
+
+            if (callback) callback({ success: true, ready: ready });
+
+        } catch (error) {
+            console.error('[SET READY ERROR]', error);
+            if (callback) callback({ success: false, error: error.message });
+        }
+    });
+
+    // Player selects map (only host/Player 1)
+    socket.on('selectMap', (data) => {
+        try {
+            const { roomCode, mapId } = data;
+            
+            const room = roomManager.getRoom(roomCode);
+            if (!room) return;
+
+            const player = room.getPlayerBySocketId(socket.id);
+            if (!player || !player.isHost) {
                 console.log('[SELECT MAP] Only host can select map');
                 return;
             }
@@ -384,6 +1042,175 @@ io.on('connection', (socket) => {
         }
     });
 
+    // Host sets how many racers the room takes
+    socket.on('setMaxPlayers', (data, callback) => {
+        try {
+            const { roomCode, maxPlayers } = data;
+            
+            const room = roomManager.getRoom(roomCode);
+            if (!room) {
+                if (callback) callback({ success: false, error: 'Room not found' });
+                return;
+            }
+
+            const player = room.getPlayerBySocketId(socket.id);
+            if (!player || !player.isHost) {
+                console.log('[SET MAX PLAYERS] Only host can change the player cap');
+                if (callback) callback({ success: false, error: 'Only the host can change the player cap' });
+                return;
+            }
+
+            if (room.gameStarted) {
+                if (callback) callback({ success: false, error: 'Game already started' });
+                return;
+            }
+
+            if (!room.setMaxPlayers(maxPlayers)) {
+                if (callback) callback({
+                    success: false,
+                    error: `Player cap must be between ${Math.max(GAME_CONSTANTS.MIN_PLAYERS, room.players.length)} and ${GAME_CONSTANTS.MAX_PLAYERS_LIMIT}`
+                });
+                return;
+            }
+
+            console.log(`[SET MAX PLAYERS] Room ${roomCode} now takes ${room.maxPlayers} players`);
+
+            io.to(roomCode).emit('maxPlayersChanged', {
+                maxPlayers: room.maxPlayers,
+                totalPlayers: room.players.length
+            });
+
+            if (callback) callback({ success: true, maxPlayers: room.maxPlayers });
+
+        } catch (error) {
+            console.error('[SET MAX PLAYERS ERROR]', error);
+            if (callback) callback({ success: false, error: error.message });
+        }
+    });
+
+    // Host adds a bot driver to an empty slot
+    socket.on('addBot', (data, callback) => {
+        try {
+            const { roomCode, difficulty } = data;
+            
+            const room = roomManager.getRoom(roomCode);
+            if (!room) {
+                if (callback) callback({ success: false, error: 'Room not found' });
+                return;
+            }
+
+            const player = room.getPlayerBySocketId(socket.id);
+            if (!player || !player.isHost) {
+                console.log('[ADD BOT] Only host can add bots');
+                if (callback) callback({ success: false, error: 'Only the host can add bots' });
+                return;
+            }
+
+            if (room.gameStarted) {
+                if (callback) callback({ success: false, error: 'Game already started' });
+                return;
+            }
+
+            if (room.isFull()) {
+                if (callback) callback({ success: false, error: `Room is full (max ${room.maxPlayers} players)` });
+                return;
+            }
+
+            const bot = room.addBot(difficulty);
+
+            console.log(`[ADD BOT] ${bot.playerName} added to room ${roomCode} as Player ${bot.playerNumber}`);
+
+            io.to(roomCode).emit('playerJoined', {
+                player: bot.getState(),
+                totalPlayers: room.players.length,
+                maxPlayers: room.maxPlayers,
+                players: room.players.map(p => p.getState())
+            });
+
+            if (callback) callback({ success: true, playerNumber: bot.playerNumber });
+
+        } catch (error) {
+            console.error('[ADD BOT ERROR]', error);
+            if (callback) callback({ success: false, error: error.message });
+        }
+    });
+
+    // Host removes a bot (the most recently added one unless a player number is given)
+    socket.on('removeBot', (data, callback) => {
+        try {
+            const { roomCode, playerNumber } = data;
+            
+            const room = roomManager.getRoom(roomCode);
+            if (!room) {
+                if (callback) callback({ success: false, error: 'Room not found' });
+                return;
+            }
+
+            const player = room.getPlayerBySocketId(socket.id);
+            if (!player || !player.isHost) {
+                console.log('[REMOVE BOT] Only host can remove bots');
+                if (callback) callback({ success: false, error: 'Only the host can remove bots' });
+                return;
+            }
+
+            if (room.gameStarted) {
+                if (callback) callback({ success: false, error: 'Game already started' });
+                return;
+            }
+
+            const bot = room.removeBot(typeof playerNumber === 'number' ? playerNumber : null);
+            if (!bot) {
+                if (callback) callback({ success: false, error: 'No bot to remove' });
+                return;
+            }
+
+            console.log(`[REMOVE BOT] ${bot.playerName} removed from room ${roomCode}`);
+
+            io.to(roomCode).emit('playerLeft', {
+                playerNumber: bot.playerNumber,
+                totalPlayers: room.players.length,
+                maxPlayers: room.maxPlayers,
+                players: room.players.map(p => p.getState())
+            });
+
+            updateAutoStart(room);
+
+            if (callback) callback({ success: true });
+
+        } catch (error) {
+            console.error('[REMOVE BOT ERROR]', error);
+            if (callback) callback({ success: false, error: error.message });
+        }
+    });
+
+    // Host controller or game screen holds a pending auto-start; everyone has to ready up again
+    socket.on('cancelAutoStart', (data, callback) => {
+        try {
+            const room = roomManager.getRoom(data.roomCode);
+            if (!room) {
+                if (callback) callback({ success: false, error: 'Room not found' });
+                return;
+            }
+
+            if (!room.autoStartAt) {
+                if (callback) callback({ success: false, error: 'No start is pending' });
+                return;
+            }
+
+            const player = room.getPlayerBySocketId(socket.id);
+            const holder = player ? player.playerName : 'The game screen';
+
+            room.resetReady();
+            cancelAutoStart(room, `${holder} held the start`);
+
+            if (callback) callback({ success: true });
+
+        } catch (error) {
+            console.error('[CANCEL AUTO START ERROR]', error);
+            if (callback) callback({ success: false, error: error.message });
+        }
+    });
+
     // ==========================================
     // LATENCY MONITORING (Step 5)
     // ==========================================
@@ -417,6 +1244,12 @@ io.on('connection', (socket) => {
                 return;
             }
 
+            // The server simulation is authoritative while it is running
+            if (roomManager.isGameLoopRunning(roomCode)) {
+                console.warn('[GAME STATE] Ignoring desktop game state while server simulation is running');
+                return;
+            }
+
             // Broadcast to all players in room
             io.to(roomCode).emit('gameState', {
                 state: state,
@@ -446,41 +1279,75 @@ io.on('connection', (socket) => {
         }
     });
 
+    // Controller reports what its LatencyMonitor measured
+    socket.on('networkStats', (data) => {
+        try {
+            const { average, jitter, p95, loss, quality } = data.stats;
+
+            socket.data.reportedNetwork = { average, jitter, p95, loss, quality, receivedAt: Date.now() };
+
+        } catch (error) {
+            console.error('[NETWORK STATS ERROR]', error);
+        }
+    });
+
     // ==========================================
     // DISCONNECTION HANDLING
     // ==========================================
 
-    socket.on('disconnect', () => {
-        console.log(`[DISCONNECT] Socket disconnected: ${socket.id}`);
+    socket.on('disconnect', (reason) => {
+        console.log(`[DISCONNECT] Socket disconnected: ${socket.id} (${reason})`);
         
         try {
             // Find which room this socket was in
             const room = roomManager.findRoomBySocketId(socket.id);
             
             if (room) {
-                // Check if disconnected socket was the host
-                if (room.hostSocketId === socket.id) {
+                // Spectators hold no slot, so they leave straight away
+                if (room.hasSpectator(socket.id)) {
+                    room.removeSpectator(socket.id);
+                    console.log(`[DISCONNECT] Spectator left room ${room.roomCode}`);
+
+                    io.to(room.roomCode).emit('spectatorsUpdated', {
+                        spectators: room.spectators.map(s => s.getState())
+                    });
+                } else if (room.hostSocketId === socket.id && (reason === 'client namespace disconnect' || socket.data.kicked)) {
                     console.log(`[DISCONNECT] Host left room ${room.roomCode}, closing room`);
-                    
-                    // Notify all players that room is closing
-                    io.to(room.roomCode).emit('roomClosed', {
-                        reason: 'Host disconnected'
+                    closeRoom(room, 'Host disconnected');
+                } else if (room.hostSocketId === socket.id) {
+                    // Desktop refreshed or blipped, give it a window to reclaim the room
+                    console.log(`[DISCONNECT] Host dropped from room ${room.roomCode}, waiting ${HOST_RECLAIM_WINDOW}ms for reclaim`);
+
+                    room.markHostDisconnected(setTimeout(() => {
+                        room.hostReclaimTimer = null;
+                        console.log(`[DISCONNECT] Host did not return to room ${room.roomCode}, closing room`);
+                        closeRoom(room, 'Host disconnected');
+                    }, HOST_RECLAIM_WINDOW));
+
+                    io.to(room.roomCode).emit('hostDisconnected', {
+                        reclaimWindow: HOST_RECLAIM_WINDOW
                     });
-                    
-                    // Delete the room
-                    roomManager.deleteRoom(room.roomCode);
+                } else if (reason === 'client namespace disconnect' || socket.data.kicked) {
+                    // Player left on purpose or was kicked, free the slot right away
+                    removePlayerFromRoom(room, socket.id);
                 } else {
-                    // Regular player disconnected
-                    const player = room.removePlayer(socket.id);
+                    // Connection dropped, hold the slot so the phone can resume
+                    const player = room.markPlayerDisconnected(socket.id);
                     
                     if (player) {
-                        console.log(`[DISCONNECT] Player ${player.playerNumber} left room ${room.roomCode}`);
-                        
-                        // Notify remaining players
-                        io.to(room.roomCode).emit('playerLeft', {
+                        const gracePeriod = GAME_CONSTANTS.NETWORK.SESSION_GRACE_PERIOD;
+
+                        console.log(`[DISCONNECT] Player ${player.playerNumber} dropped from room ${room.roomCode}, holding slot for ${gracePeriod}ms`);
+
+                        room.setDisconnectTimer(player.sessionToken, setTimeout(() => {
+                            room.disconnectTimers.delete(player.sessionToken);
+                            removePlayerFromRoom(room, player.socketId);
+                        }, gracePeriod));
+
+                        io.to(room.roomCode).emit('playerDisconnected', {
                             playerNumber: player.playerNumber,
-                            totalPlayers: room.players.length,
-                            players: room.players
+                            gracePeriod: gracePeriod,
+                            players: room.players.map(p => p.getState())
                         });
                     }
                 }
@@ -495,55 +1362,621 @@ io.on('connection', (socket) => {
 // HELPER FUNCTIONS
 // ============================================
 
-function getServerURL() {
-    const port = process.env.PORT || 3000;
-    // In production, replace with your actual domain
-    // For local network testing, use your local IP (e.g., 'http://192.168.1.100:3000')
-    return process.env.SERVER_URL || `http://localhost:${port}`;
+/**
+ * Check a client event's payload against EVENT_SCHEMAS
+ * Returns null when valid, otherwise { error, code }
+ */
+function validatePayload(eventName, args) {
+    // Unknown events are left for authorizeEvent to reject
+    if (!Object.prototype.hasOwnProperty.call(EVENT_SCHEMAS, eventName)) {
+        return null;
+    }
+
+    const schema = EVENT_SCHEMAS[eventName];
+    if (!schema) {
+        return null;
+    }
+
+    // The acknowledgement callback is never the payload
+    const payload = typeof args[0] === 'function' ? undefined : args[0];
+    const error = checkValue(payload, schema, 'payload');
+
+    return error ? { error: `Invalid ${eventName}: ${error}`, code: 'INVALID_PAYLOAD' } : null;
 }
 
 /**
- * Validate controller input
- * Prevents cheating and ensures data integrity
+ * Check one value against a schema rule
+ * Returns an error message, or null when the value passes
  */
-function validateInput(input) {
-    const errors = [];
-    
-    // Validate steering
-    if (typeof input.steering !== 'number') {
-        errors.push('Steering must be a number');
-    } else if (input.steering < -1 || input.steering > 1) {
-        errors.push('Steering out of range');
-    } else if (isNaN(input.steering)) {
-        errors.push('Steering is NaN');
+function checkValue(value, rule, name) {
+    if (value === undefined || value === null) {
+        return rule.required ? `${name} is required` : null;
     }
-    
-    // Validate brake
-    if (typeof input.brake !== 'boolean') {
-        errors.push('Brake must be a boolean');
+
+    switch (rule.type) {
+        case 'string':
+            if (typeof value !== 'string') return `${name} must be a string`;
+            if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+                return `${name} must be at most ${rule.maxLength} characters`;
+            }
+            if (rule.pattern && !rule.pattern.test(value)) return `${name} is malformed`;
+            break;
+
+        case 'number':
+        case 'integer':
+            if (typeof value !== 'number' || !Number.isFinite(value)) return `${name} must be a number`;
+            if (rule.type === 'integer' && !Number.isInteger(value)) return `${name} must be a whole number`;
+            if (rule.min !== undefined && value < rule.min) return `${name} must be at least ${rule.min}`;
+            if (rule.max !== undefined && value > rule.max) return `${name} must be at most ${rule.max}`;
+            break;
+
+        case 'boolean':
+            if (typeof value !== 'boolean') return `${name} must be a boolean`;
+            break;
+
+        case 'object':
+            if (typeof value !== 'object' || Array.isArray(value)) return `${name} must be an object`;
+            break;
+
+        default:
+            return `${name} has no known type`;
     }
+
+    if (rule.oneOf && !rule.oneOf.includes(value)) {
+        return `${name} must be one of: ${rule.oneOf.join(', ')}`;
+    }
+
+    // Fields not listed in the schema are ignored
+    if (rule.fields) {
+        for (const [field, fieldRule] of Object.entries(rule.fields)) {
+            const error = checkValue(value[field], fieldRule, field);
+            if (error) return error;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Check a client event against EVENT_ACCESS
+ * Returns null when allowed, otherwise { error, code }
+ */
+function authorizeEvent(socket, eventName, args) {
+    const access = EVENT_ACCESS[eventName];
+
+    if (!access) {
+        return { error: `Unknown event: ${eventName}`, code: 'UNKNOWN_EVENT' };
+    }
+
+    if (access === ACCESS.NONE) {
+        return null;
+    }
+
+    // Room code is the first argument or its roomCode field
+    const payload = args[0];
+    const roomCode = typeof payload === 'string' ? payload : payload && payload.roomCode;
+    const room = roomCode ? roomManager.getRoom(roomCode) : null;
+
+    if (!room) {
+        return { error: 'Room not found', code: 'ROOM_NOT_FOUND' };
+    }
+
+    switch (access) {
+        case ACCESS.MEMBER:
+            return room.isMember(socket.id) ? null : { error: 'Not a member of this room', code: 'NOT_MEMBER' };
+
+        case ACCESS.CONTROLLER_HOST: {
+            const player = room.getPlayerBySocketId(socket.id);
+            return player && player.isHost ? null : { error: 'Only the host controller can do that', code: 'NOT_CONTROLLER_HOST' };
+        }
+
+        case ACCESS.SCREEN_HOST:
+            return room.hostSocketId === socket.id ? null : { error: 'Only the game screen can do that', code: 'NOT_SCREEN_HOST' };
+
+        case ACCESS.ANY_HOST: {
+            const player = room.getPlayerBySocketId(socket.id);
+            const isHost = room.hostSocketId === socket.id || (player && player.isHost);
+            return isHost ? null : { error: 'Only the host can do that', code: 'NOT_HOST' };
+        }
+
+        default:
+            return { error: 'Not authorized', code: 'UNAUTHORIZED' };
+    }
+}
+
+/**
+ * Check a client event against EVENT_PHASES
+ * Returns null when the room's phase allows it, otherwise { error, code }
+ */
+function checkEventPhase(eventName, args) {
+    const phases = EVENT_PHASES[eventName];
+    if (!phases) return null;
+
+    const payload = args[0];
+    const roomCode = typeof payload === 'string' ? payload : payload && payload.roomCode;
+    const room = roomManager.getRoom(roomCode);
+
+    // Handlers report missing rooms themselves
+    if (!room || phases.includes(room.phase)) {
+        return null;
+    }
+
+    return { error: `Not allowed during ${room.phase}`, code: 'WRONG_PHASE' };
+}
+
+/**
+ * Answer a rejected event through its acknowledgement, or with an eventError if it has none
+ */
+function rejectEvent(socket, eventName, args, denial) {
+    const callback = args[args.length - 1];
+    const response = { success: false, error: denial.error, code: denial.code };
+
+    if (typeof callback === 'function') {
+        callback(response);
+    } else {
+        socket.emit('eventError', { event: eventName, ...response });
+    }
+}
+
+/**
+ * Decide whether a caller may enter (or look up) a room by code (and PIN)
+ * Returns null when it may, otherwise { error, code }; unknown rooms and wrong PINs count against the IP address
+ */
+function checkRoomEntry(address, room, pin) {
+    const retryAfter = joinThrottle.getRetryAfter(address);
+
+    if (retryAfter > 0) {
+        return {
+            error: `Too many failed attempts, try again in ${Math.ceil(retryAfter / 1000)}s`,
+            code: 'JOIN_THROTTLED'
+        };
+    }
+
+    let refusal = null;
+
+    if (!room) {
+        refusal = { error: 'Room not found', code: 'ROOM_NOT_FOUND' };
+    } else if (room.pin && !pin) {
+        refusal = { error: 'This room needs a PIN', code: 'PIN_REQUIRED' };
+    } else if (!room.checkPin(pin)) {
+        refusal = { error: 'Wrong PIN', code: 'INVALID_PIN' };
+    }
+
+    // Being asked for the PIN is not a guess, so it does not count against the address
+    if (refusal && refusal.code !== 'PIN_REQUIRED') {
+        joinThrottle.recordFailure(address);
+    }
+
+    return refusal;
+}
+
+/**
+ * Disconnect a misbehaving socket, telling it why first
+ * Kicked sockets lose their slot straight away instead of getting a grace period
+ */
+function kickSocket(socket, reason) {
+    if (socket.data.kicked) return;
+
+    socket.data.kicked = true;
+    console.warn(`[KICK] Disconnecting ${socket.id}: ${reason}`, socket.data.rateLimiter.getStats());
+
+    socket.emit('kicked', { reason: reason });
+    socket.disconnect(true);
+}
+
+/**
+ * Rate limit and validation counters for every connected socket in a room
+ */
+function getRoomRateLimits(room) {
+    const statsFor = (socketId) => {
+        const socket = io.sockets.sockets.get(socketId);
+        if (!socket) return { connected: false };
+
+        return {
+            connected: true,
+            invalidPayloads: socket.data.invalidPayloads,
+            ...socket.data.rateLimiter.getStats()
+        };
+    };
+
+    return {
+        host: statsFor(room.hostSocketId),
+        players: room.getHumanPlayers().map(p => ({ playerNumber: p.playerNumber, ...statsFor(p.socketId) })),
+        spectators: room.spectators.map(s => ({ name: s.name, ...statsFor(s.socketId) }))
+    };
+}
+
+/**
+ * Time a round trip to a socket (the client acks serverPing straight away)
+ */
+function measureRoundTrip(socket) {
+    const sentAt = Date.now();
+
+    socket.timeout(GAME_CONSTANTS.NETWORK.PING_TIMEOUT).emit('serverPing', { serverTime: sentAt }, (error) => {
+        if (error) {
+            socket.data.networkMonitor.recordLoss();
+        } else {
+            socket.data.networkMonitor.recordPing(Date.now() - sentAt);
+        }
+    });
+}
+
+/**
+ * Connection health of one racer, rated as the worse of the server's
+ * own measurements and what their phone reported
+ */
+function getPlayerNetwork(player) {
+    const socket = io.sockets.sockets.get(player.socketId);
+    if (!socket) return null;
+
+    const levels = LatencyMonitor.QUALITY_LEVELS;
+    const monitor = socket.data.networkMonitor;
+    const measured = monitor.getStats();
+    const reported = socket.data.reportedNetwork;
+    const reportedLevel = reported ? levels.findIndex(level => level.rating === reported.quality) : 0;
+
+    return {
+        rtt: measured.average,
+        p95: measured.p95,
+        jitter: measured.jitter,
+        loss: measured.loss,
+        reported: reported,
+        quality: levels[Math.max(monitor.getQualityLevel(), reportedLevel)].rating
+    };
+}
+
+/**
+ * Get every phone racer's connection health (networkHealth and the debug API)
+ */
+function getRoomNetworkHealth(room) {
+    return room.getHumanPlayers().map(p => ({
+        playerNumber: p.playerNumber,
+        playerName: p.playerName,
+        network: getPlayerNetwork(p)
+    }));
+}
+
+/**
+ * Names of racers whose link is rated poor or worse
+ */
+function getPoorConnections(room) {
+    return getRoomNetworkHealth(room)
+        .filter(p => p.network && POOR_QUALITY.includes(p.network.quality))
+        .map(p => p.playerName);
+}
+
+/**
+ * Notify everyone in a room that it is closing, then delete it
+ */
+function closeRoom(room, reason) {
+    io.to(room.roomCode).emit('roomClosed', {
+        reason: reason
+    });
+    
+    roomManager.deleteRoom(room.roomCode);
+}
+
+/**
+ * Remove a player from a room and notify the remaining clients
+ */
+function removePlayerFromRoom(room, socketId) {
+    const player = room.removePlayer(socketId);
     
-    // Validate timestamp
-    if (typeof input.timestamp !== 'number') {
-        errors.push('Timestamp must be a number');
-    } else if (input.timestamp < 0) {
-        errors.push('Timestamp cannot be negative');
+    if (player) {
+        room.clearDisconnectTimer(player.sessionToken);
+
+        console.log(`[DISCONNECT] Player ${player.playerNumber} left room ${room.roomCode}`);
+        
+        // Notify remaining players
+        io.to(room.roomCode).emit('playerLeft', {
+            playerNumber: player.playerNumber,
+            totalPlayers: room.players.length,
+            maxPlayers: room.maxPlayers,
+            players: room.players.map(p => p.getState())
+        });
+
+        syncLobbyPhase(room);
+        updateAutoStart(room);
     }
     
-    // Sanitize input (clamp values to valid ranges)
-    const sanitized = {
-        steering: Math.max(-1, Math.min(1, Number(input.steering) || 0)),
-        brake: Boolean(input.brake),
-        timestamp: Number(input.timestamp) || Date.now()
-    };
+    return player;
+}
+
+/**
+ * Move a room to another phase and tell every client in it
+ * Returns false when the room's transition table does not allow the move
+ */
+function setRoomPhase(room, phase) {
+    const previousPhase = room.phase;
+
+    if (!room.setPhase(phase)) {
+        console.warn(`[PHASE] Room ${room.roomCode} cannot move from ${previousPhase} to ${phase}`);
+        return false;
+    }
+
+    io.to(room.roomCode).emit('phaseChanged', {
+        phase: phase,
+        previousPhase: previousPhase,
+        room: room.getState()
+    });
+
+    return true;
+}
+
+/**
+ * Keep the lobby phase in step with whether any phones are racing
+ */
+function syncLobbyPhase(room) {
+    const hasRacers = room.getHumanPlayers().length > 0;
+
+    if (hasRacers && room.phase === PHASES.WAITING) {
+        setRoomPhase(room, PHASES.SETUP);
+    } else if (!hasRacers && (room.phase === PHASES.SETUP || room.phase === PHASES.CAR_SELECTION)) {
+        setRoomPhase(room, PHASES.WAITING);
+    }
+}
+
+/**
+ * Leave the results for the lobby (track and mode setup, or waiting if the racers left)
+ */
+function returnRoomToLobby(room) {
+    const hasRacers = room.getHumanPlayers().length > 0;
+    setRoomPhase(room, hasRacers ? PHASES.SETUP : PHASES.WAITING);
+}
+
+/**
+ * Reason a room's race cannot start yet, or null when it can
+ */
+function getStartRefusal(room) {
+    if (room.gameMode === GAME_CONSTANTS.GAME_MODES.TIME_TRIAL && room.players.length !== 1) {
+        return 'Time trial is a solo mode (1 player only)';
+    }
+
+    if (!room.allCarsSelected()) {
+        return 'Waiting for every racer to pick a car';
+    }
+
+    return null;
+}
+
+/**
+ * Count down and start a room's race (from the desktop or the ready-up auto-start)
+ */
+function startRace(room) {
+    const roomCode = room.roomCode;
+    const refusal = getStartRefusal(room);
+    if (refusal) {
+        console.log(`[START GAME] Room ${roomCode} cannot start: ${refusal}`);
+        return { success: false, error: refusal };
+    }
+
+    const isTimeTrial = room.gameMode === GAME_CONSTANTS.GAME_MODES.TIME_TRIAL;
+    const countdown = GAME_CONSTANTS.LOBBY.COUNTDOWN_DURATION;
+    const startAt = Date.now() + countdown;
+
+    setRoomPhase(room, PHASES.COUNTDOWN);
+    room.gameState.initialize(room.players.length, room.selectedMap, {
+        cars: room.getSelectedCars(),
+        gameMode: room.gameMode
+    });
+
+    // Replay the stored best lap for this track and car as a ghost
+    if (isTimeTrial) {
+        const runner = room.gameState.players[0];
+        room.gameState.mode.setGhost(personalBestStore.getBest(room.gameState.track.id, runner.carId));
+    }
     
+    // Clients count down to startAt on the server clock (see RaceCountdown)
+    io.to(roomCode).emit('gameStarting', {
+        countdown: countdown / 1000,
+        startAt: startAt,
+        timestamp: Date.now()
+    });
+
+    // Server simulation takes over once the countdown ends
+    roomManager.startGameLoop(room, {
+        onStart: () => {
+            setRoomPhase(room, PHASES.RACING);
+        },
+        onSnapshot: (snapshot) => {
+            io.to(roomCode).emit('gameState', {
+                state: snapshot,
+                timestamp: Date.now()
+            });
+        },
+        onEvent: (event) => {
+            if (event.type === 'timeTrialLap') {
+                handleTimeTrialLap(room, event.data);
+                return;
+            }
+
+            io.to(roomCode).emit(event.type, event.data);
+        },
+        onEnd: (snapshot) => {
+            setRoomPhase(room, PHASES.RESULTS);
+
+            // Everyone heads back to the lobby after a look at the results
+            room.phaseTimer = setTimeout(() => {
+                room.phaseTimer = null;
+                returnRoomToLobby(room);
+            }, GAME_CONSTANTS.LOBBY.RESULTS_DURATION);
+
+            io.to(roomCode).emit('raceFinished', {
+                gameMode: snapshot.gameMode,
+                winner: snapshot.winner,
+                players: snapshot.players,
+                raceStartTime: snapshot.raceStartTime,
+                raceEndTime: snapshot.raceEndTime
+            });
+
+            console.log(`[START GAME] Room ${roomCode} race finished`);
+        }
+    }, startAt - Date.now());
+
+    console.log(`[START GAME] Room ${roomCode} game started`);
+    return { success: true };
+}
+
+/**
+ * Drop inputs sent before GO; the first one that touches a control is a false start
+ * Returns true when the input should be ignored
+ */
+function checkFalseStart(room, player, input) {
+    if (room.phase !== PHASES.COUNTDOWN) return false;
+
+    const touched = input.steering !== 0 || input.brake || input.useItem;
+
+    if (touched && room.gameState.penalizeFalseStart(player.playerNumber)) {
+        console.log(`[FALSE START] Player ${player.playerNumber} in room ${room.roomCode}`);
+
+        io.to(room.roomCode).emit('falseStart', {
+            playerNumber: player.playerNumber,
+            penalty: GAME_CONSTANTS.LOBBY.FALSE_START_PENALTY
+        });
+    }
+
+    return true;
+}
+
+/**
+ * Start the race by itself a moment after every racer is ready with a car,
+ * and call that off again when someone stops being ready or a new racer arrives
+ */
+function updateAutoStart(room) {
+    const everyoneSet = room.phase === PHASES.CAR_SELECTION && room.allReady() && !getStartRefusal(room);
+
+    if (everyoneSet && !room.autoStartAt) {
+        const delay = GAME_CONSTANTS.LOBBY.AUTO_START_DELAY;
+
+        room.autoStartAt = Date.now() + delay;
+        room.phaseTimer = setTimeout(() => {
+            room.phaseTimer = null;
+            room.autoStartAt = null;
+
+            try {
+                startRace(room);
+            } catch (error) {
+                console.error('[AUTO START ERROR]', error);
+            }
+        }, delay);
+
+        console.log(`[AUTO START] Room ${room.roomCode} starts in ${delay}ms`);
+
+        io.to(room.roomCode).emit('autoStartScheduled', {
+            startsAt: room.autoStartAt,
+            delay: delay,
+            poorConnections: getPoorConnections(room)
+        });
+    } else if (!everyoneSet && room.autoStartAt) {
+        cancelAutoStart(room, 'Not everyone is ready');
+    }
+}
+
+/**
+ * Call off a pending auto-start and tell every client in the room
+ */
+function cancelAutoStart(room, reason) {
+    room.clearPhaseTimer();
+
+    console.log(`[AUTO START] Room ${room.roomCode} cancelled: ${reason}`);
+
+    io.to(room.roomCode).emit('autoStartCancelled', {
+        reason: reason,
+        players: room.players.map(p => p.getState())
+    });
+}
+
+/**
+ * Free a bot's slot for a phone when the room is full between races
+ */
+function releaseBotSlot(room) {
+    if (!room.isFull() || room.gameStarted || room.getBots().length === 0) {
+        return null;
+    }
+
+    const bot = room.removeBot();
+
+    console.log(`[ROOM] Released bot slot ${bot.playerNumber} in room ${room.roomCode}`);
+
+    io.to(room.roomCode).emit('playerLeft', {
+        playerNumber: bot.playerNumber,
+        totalPlayers: room.players.length,
+        maxPlayers: room.maxPlayers,
+        players: room.players.map(p => p.getState())
+    });
+
+    return bot;
+}
+
+/**
+ * Store a completed time trial lap and tell the room how it went
+ */
+function handleTimeTrialLap(room, lap) {
+    const player = room.players.find(p => p.playerNumber === lap.playerNumber);
+    const result = personalBestStore.submitLap(lap.trackId, lap.carId, {
+        lapTime: lap.lapTime,
+        playerName: player ? player.playerName : `Player ${lap.playerNumber}`,
+        ghost: lap.ghost
+    });
+
+    // Later laps in this run chase the new best
+    if (result.isBest) {
+        room.gameState.mode.setGhost(personalBestStore.getBest(lap.trackId, lap.carId));
+        console.log(`[TIME TRIAL] New best on ${lap.trackId} with ${lap.carId}: ${lap.lapTime}ms`);
+    }
+
+    io.to(room.roomCode).emit('lapCompleted', {
+        playerNumber: lap.playerNumber,
+        lap: lap.lap,
+        lapTime: lap.lapTime,
+        personalBest: result.isBest,
+        previousBest: result.previousLapTime
+    });
+}
+
+/**
+ * Link for a room's QR code (includes the PIN so scanning phones skip typing it)
+ */
+function getControllerURL(room) {
+    const pinParam = room.pin ? `&pin=${room.pin}` : '';
+    return `${getServerURL()}/controller?room=${room.roomCode}${pinParam}`;
+}
+
+function getServerURL() {
+    const port = process.env.PORT || 3000;
+    // In production, replace with your actual domain
+    // For local network testing, use your local IP (e.g., 'http://192.168.1.100:3000')
+    return process.env.SERVER_URL || `http://localhost:${port}`;
+}
+
+/**
+ * Normalize controller input that passed the controllerInput schema
+ * Keeps only known fields so the simulation never sees extra data
+ */
+function sanitizeInput(input) {
     return {
-        valid: errors.length === 0,
-        errors: errors,
-        sanitized: sanitized
+        steering: Math.max(-1, Math.min(1, input.steering)),
+        brake: input.brake,
+        useItem: Boolean(input.useItem),
+        timestamp: input.timestamp
     };
 }
 
+// ============================================
+// NETWORK HEALTH
+// ============================================
+
+// Time every socket's round trip and send each screen its racers' connection health
+setInterval(() => {
+    io.sockets.sockets.forEach(socket => measureRoundTrip(socket));
+
+    roomManager.getAllRooms().forEach(room => {
+        if (room.hostConnected) {
+            io.to(room.hostSocketId).emit('networkHealth', { players: getRoomNetworkHealth(room) });
+        }
+    });
+}, GAME_CONSTANTS.NETWORK.HEALTH_INTERVAL);
+
 // ============================================
 // PERIODIC CLEANUP
 // ============================================
@@ -551,6 +1984,7 @@ function validateInput(input) {
 // Clean up inactive rooms every 30 minutes
 setInterval(() => {
     roomManager.cleanupInactiveRooms(60); // Remove rooms older than 60 minutes with no players
+    joinThrottle.cleanup();
 }, 30 * 60 * 1000);
 
 // ============================================
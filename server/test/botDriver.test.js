@@ -0,0 +1,53 @@
+// server/test/botDriver.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const GameState = require('../gameState');
+const BotDriver = require('../botDriver');
+const TrackCatalog = require('../../public/js/shared/trackCatalog');
+const GAME_CONSTANTS = require('../../public/js/shared/constants');
+
+const DIFFICULTIES = GAME_CONSTANTS.BOT_DIFFICULTIES;
+const DT = 1 / 60;
+const MAX_TICKS = 60 * 120;
+
+/**
+ * Drive one bot alone for a lap; returns the ticks it took and how many drifts it started
+ */
+function driveLap(trackId, difficulty) {
+    const gameState = new GameState();
+    gameState.initialize(1, trackId, { gameMode: GAME_CONSTANTS.GAME_MODES.TIME_TRIAL });
+    gameState.startRace();
+
+    const driver = new BotDriver(difficulty);
+    driver.phase = 0;
+    const player = gameState.getPlayer(1);
+
+    let ticks = 0;
+    let drifts = 0;
+    while (player.currentLap < 2 && ticks < MAX_TICKS) {
+        const wasDrifting = player.drifting;
+        gameState.setPlayerInput(1, driver.getInput(gameState, player));
+        gameState.update(DT);
+        ticks++;
+        if (player.drifting && !wasDrifting) drifts++;
+    }
+
+    return { ticks, drifts };
+}
+
+test('unknown difficulties fall back to medium', () => {
+    assert.equal(new BotDriver('impossible').difficulty, DIFFICULTIES.MEDIUM);
+});
+
+TrackCatalog.getTrackIds().forEach(trackId => {
+    test(`bots lap ${trackId} faster with each difficulty and never drift by accident`, () => {
+        const easy = driveLap(trackId, DIFFICULTIES.EASY);
+        const medium = driveLap(trackId, DIFFICULTIES.MEDIUM);
+        const hard = driveLap(trackId, DIFFICULTIES.HARD);
+
+        assert.ok(easy.ticks < MAX_TICKS, 'easy bot finished the lap');
+        assert.ok(hard.ticks < medium.ticks, `hard ${hard.ticks} < medium ${medium.ticks}`);
+        assert.ok(medium.ticks < easy.ticks, `medium ${medium.ticks} < easy ${easy.ticks}`);
+        [easy, medium, hard].forEach(lap => assert.equal(lap.drifts, 0));
+    });
+});
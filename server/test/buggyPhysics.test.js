@@ -0,0 +1,103 @@
+// server/test/buggyPhysics.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const BuggyPhysics = require('../../public/js/shared/buggyPhysics');
+
+const DT = 1 / 60;
+
+/**
+ * A fixed, varied input sequence: accelerate, steer, drift and release
+ */
+function makeInputs(ticks) {
+    const inputs = [];
+    for (let i = 0; i < ticks; i++) {
+        const phase = Math.floor(i / 60) % 4;
+        inputs.push({
+            steering: phase === 1 ? 1 : phase === 3 ? -0.5 : 0,
+            brake: phase === 1 && i % 60 < 45
+        });
+    }
+    return inputs;
+}
+
+function run(inputs, physics = new BuggyPhysics()) {
+    let state = BuggyPhysics.createState({ x: 0, y: 0, z: 0 }, 0);
+    const states = [];
+
+    inputs.forEach(input => {
+        state = physics.step(state, input, DT);
+        states.push(state);
+    });
+
+    return states;
+}
+
+test('identical input sequences produce identical states', () => {
+    const inputs = makeInputs(600);
+
+    assert.deepEqual(run(inputs), run(inputs));
+});
+
+test('a different input sequence diverges', () => {
+    const inputs = makeInputs(300);
+    const changed = inputs.map((input, i) => (i === 100 ? { steering: -1, brake: false } : input));
+
+    assert.notDeepEqual(run(inputs).at(-1).position, run(changed).at(-1).position);
+});
+
+test('step does not modify the state passed in', () => {
+    const physics = new BuggyPhysics();
+    const state = BuggyPhysics.createState({ x: 1, y: 0, z: 2 }, 0.5);
+    const copy = structuredClone(state);
+
+    physics.step(state, { steering: 1, brake: false }, DT);
+
+    assert.deepEqual(state, copy);
+});
+
+test('throttle is automatic and speed is capped at max speed', () => {
+    const physics = new BuggyPhysics();
+    const states = run(new Array(1200).fill({ steering: 0, brake: false }), physics);
+
+    assert.ok(states[0].speed > 0);
+    assert.equal(states.at(-1).speed, physics.params.maxSpeed);
+    // Heading 0 drives along +z
+    assert.ok(states.at(-1).position.z > 0);
+    assert.equal(states.at(-1).position.x, 0);
+});
+
+test('braking brings the buggy to a stop', () => {
+    const physics = new BuggyPhysics();
+    let state = run(new Array(300).fill({ steering: 0, brake: false }), physics).at(-1);
+
+    for (let i = 0; i < 1200; i++) {
+        state = physics.step(state, { steering: 0, brake: true }, DT);
+    }
+
+    assert.equal(state.speed, 0);
+});
+
+test('a held drift charges a tier and releasing it fires a boost', () => {
+    const physics = new BuggyPhysics();
+    let state = run(new Array(600).fill({ steering: 0, brake: false }), physics).at(-1);
+
+    const firstTier = physics.params.driftTiers[0];
+    const driftTicks = Math.ceil(firstTier / DT) + 1;
+
+    for (let i = 0; i < driftTicks; i++) {
+        state = physics.step(state, { steering: 1, brake: true }, DT);
+    }
+    assert.equal(state.drifting, true);
+    assert.ok(state.driftTier >= 1);
+
+    state = physics.step(state, { steering: 0, brake: false }, DT);
+    assert.equal(state.drifting, false);
+    assert.ok(state.boostTime > 0);
+});
+
+test('wrapAngle keeps headings in [-PI, PI)', () => {
+    [0, Math.PI, -Math.PI, 3 * Math.PI, -7.5, 12].forEach(angle => {
+        const wrapped = BuggyPhysics.wrapAngle(angle);
+        assert.ok(wrapped >= -Math.PI && wrapped < Math.PI, `${angle} -> ${wrapped}`);
+    });
+});
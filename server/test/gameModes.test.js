@@ -0,0 +1,137 @@
+// server/test/gameModes.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const GameState = require('../gameState');
+const GAME_CONSTANTS = require('../../public/js/shared/constants');
+
+const MODES = GAME_CONSTANTS.GAME_MODES;
+
+function completeLap(gameState, playerNumber) {
+    const count = gameState.checkpoints.length;
+    for (let id = 1; id <= count; id++) {
+        gameState.passCheckpoint(playerNumber, id % count);
+    }
+}
+
+function createRace(playerCount, gameMode) {
+    const gameState = new GameState();
+    gameState.initialize(playerCount, 'beach', { gameMode });
+    gameState.startRace();
+    return gameState;
+}
+
+test('elimination knocks out last place each time the leader starts a new lap', () => {
+    const gameState = createRace(3, MODES.ELIMINATION);
+
+    completeLap(gameState, 1);
+    gameState.passCheckpoint(2, 1);
+
+    const eliminated = gameState.players.filter(p => p.eliminated);
+    assert.deepEqual(eliminated.map(p => p.playerNumber), [3]);
+    assert.equal(gameState.mode.acceptsInput(gameState.getPlayer(3)), false);
+    assert.deepEqual(gameState.drainEvents().map(e => e.type), ['playerEliminated']);
+});
+
+test('elimination crowns the last buggy standing', () => {
+    const gameState = createRace(2, MODES.ELIMINATION);
+
+    completeLap(gameState, 2);
+
+    assert.equal(gameState.getPlayer(1).eliminated, true);
+    assert.equal(gameState.winner, 2);
+    assert.equal(gameState.mode.isRaceComplete(), true);
+});
+
+test('elimination crowns the remaining buggy when the others leave', () => {
+    const gameState = createRace(3, MODES.ELIMINATION);
+
+    gameState.retirePlayer(1);
+    assert.equal(gameState.winner, null);
+
+    gameState.retirePlayer(3);
+    assert.equal(gameState.winner, 2);
+    assert.equal(gameState.mode.isRaceComplete(), true);
+});
+
+test('time trial records the lap and reports it with its ghost', () => {
+    const gameState = createRace(1, MODES.TIME_TRIAL);
+
+    for (let tick = 0; tick < 10; tick++) gameState.mode.onTick();
+    completeLap(gameState, 1);
+
+    const [lap] = gameState.drainEvents();
+    assert.equal(lap.type, 'timeTrialLap');
+    assert.equal(lap.data.lap, 1);
+    assert.equal(lap.data.ghost.length, 10);
+    assert.equal(gameState.mode.recording.length, 0);
+});
+
+test('time trial ghost frames are looked up by time into the lap', () => {
+    const gameState = createRace(1, MODES.TIME_TRIAL);
+    const mode = gameState.mode;
+
+    assert.equal(mode.getGhostFrame(0), null);
+
+    mode.setGhost({ lapTime: 300, playerName: 'Ace', ghost: [[0, 0, 0, 0, 0], [100, 1, 0, 1, 0], [200, 2, 0, 2, 0]] });
+
+    assert.equal(mode.getGhostFrame(0)[1], 0);
+    assert.equal(mode.getGhostFrame(150)[1], 1);
+    assert.equal(mode.getGhostFrame(200)[1], 2);
+    assert.equal(mode.getGhostFrame(5000)[1], 2);
+});
+
+test('time trial calls off a run whose lap goes past the maximum lap time', () => {
+    const gameState = createRace(1, MODES.TIME_TRIAL);
+    const mode = gameState.mode;
+
+    mode.onTick();
+    gameState.raceTime = GAME_CONSTANTS.TIME_TRIAL.MAX_LAP_TIME + 1;
+    mode.onTick();
+    mode.onTick();
+
+    assert.equal(mode.recording.length, 0);
+    assert.equal(gameState.getPlayer(1).finished, true);
+    assert.equal(mode.isRaceComplete(), true);
+});
+
+test('battle ends with the top scorer when the match timer runs out', () => {
+    const gameState = createRace(2, MODES.BATTLE);
+
+    gameState.getPlayer(2).score = 3;
+    gameState.raceTime = GAME_CONSTANTS.BATTLE.MATCH_DURATION;
+    gameState.mode.onTick();
+
+    assert.equal(gameState.winner, 2);
+    assert.equal(gameState.mode.isRaceComplete(), true);
+});
+
+test('battle leaves players who left out of pickups, collisions and the win', () => {
+    const gameState = createRace(3, MODES.BATTLE);
+    const mode = gameState.mode;
+    const [leaver, rival, other] = gameState.players;
+
+    leaver.score = 500;
+    gameState.retirePlayer(leaver.playerNumber);
+
+    // Park the leaver on a pickup and the rival on top of them
+    const pickup = mode.pickups[0];
+    leaver.position = { ...pickup.position };
+    rival.position = { x: pickup.position.x + 1, y: 0, z: pickup.position.z + 1000 };
+    other.position = { x: pickup.position.x + 2000, y: 0, z: pickup.position.z };
+    mode.updatePickups();
+    assert.equal(pickup.active, true);
+
+    rival.position = { ...leaver.position };
+    rival.speed = 50;
+    leaver.speed = 50;
+    mode.updateCollisions();
+    assert.equal(leaver.health, GAME_CONSTANTS.BATTLE.MAX_HEALTH);
+    assert.equal(rival.health, GAME_CONSTANTS.BATTLE.MAX_HEALTH);
+
+    rival.score = 100;
+    gameState.raceTime = GAME_CONSTANTS.BATTLE.MATCH_DURATION;
+    mode.onTick();
+
+    assert.equal(gameState.winner, rival.playerNumber);
+    assert.equal(mode.getStandings().at(-1), leaver);
+});
@@ -0,0 +1,132 @@
+// server/test/gameState.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const GameState = require('../gameState');
+const GAME_CONSTANTS = require('../../public/js/shared/constants');
+
+/**
+ * Pass every checkpoint of one lap in track order (the lap closes on checkpoint 0)
+ */
+function completeLap(gameState, playerNumber) {
+    const count = gameState.checkpoints.length;
+    for (let id = 1; id <= count; id++) {
+        assert.equal(gameState.passCheckpoint(playerNumber, id % count), true);
+    }
+}
+
+function createRace(playerCount, gameMode = GAME_CONSTANTS.GAME_MODES.RACE) {
+    const gameState = new GameState();
+    gameState.initialize(playerCount, 'beach', { gameMode });
+    gameState.startRace();
+    return gameState;
+}
+
+test('players start on lap 1 on distinct grid slots', () => {
+    const gameState = createRace(4);
+
+    assert.equal(gameState.players.length, 4);
+    gameState.players.forEach(player => assert.equal(player.currentLap, 1));
+
+    const slots = new Set(gameState.players.map(p => `${p.position.x},${p.position.z}`));
+    assert.equal(slots.size, 4);
+});
+
+test('checkpoints only count in track order', () => {
+    const gameState = createRace(1);
+
+    assert.equal(gameState.passCheckpoint(1, 2), false);
+    assert.equal(gameState.passCheckpoint(1, 0), false);
+    assert.equal(gameState.passCheckpoint(1, 1), true);
+    assert.deepEqual(gameState.getPlayer(1).checkpointsPassed, [1]);
+});
+
+test('a lap completes on the start/finish line after every checkpoint', () => {
+    const gameState = createRace(1);
+
+    completeLap(gameState, 1);
+
+    const player = gameState.getPlayer(1);
+    assert.equal(player.currentLap, 2);
+    assert.deepEqual(player.checkpointsPassed, []);
+    assert.equal(player.finished, false);
+});
+
+test('the first player through the last lap wins and the race completes when all finish', () => {
+    const gameState = createRace(2);
+
+    for (let lap = 0; lap < gameState.maxLaps; lap++) completeLap(gameState, 2);
+    gameState.checkRaceCompletion();
+
+    assert.equal(gameState.getPlayer(2).finished, true);
+    assert.equal(gameState.winner, 2);
+    assert.equal(gameState.raceEndTime, null);
+
+    for (let lap = 0; lap < gameState.maxLaps; lap++) completeLap(gameState, 1);
+    gameState.checkRaceCompletion();
+
+    assert.equal(gameState.winner, 2);
+    assert.notEqual(gameState.raceEndTime, null);
+});
+
+test('race positions follow lap, then checkpoint, then player number on ties', () => {
+    const gameState = createRace(3);
+
+    gameState.updateRacePositions();
+    assert.deepEqual(gameState.players.map(p => p.racePosition), [1, 2, 3]);
+
+    completeLap(gameState, 3);
+    gameState.passCheckpoint(2, 1);
+    gameState.updateRacePositions();
+
+    assert.equal(gameState.getPlayer(3).racePosition, 1);
+    assert.equal(gameState.getPlayer(2).racePosition, 2);
+    assert.equal(gameState.getPlayer(1).racePosition, 3);
+});
+
+test('finished players rank by finish time ahead of the field', () => {
+    const gameState = createRace(2);
+
+    gameState.raceTime = 1000;
+    for (let lap = 0; lap < gameState.maxLaps; lap++) completeLap(gameState, 2);
+    gameState.raceTime = 2000;
+    for (let lap = 0; lap < gameState.maxLaps; lap++) completeLap(gameState, 1);
+    gameState.updateRacePositions();
+
+    assert.equal(gameState.getPlayer(2).racePosition, 1);
+    assert.equal(gameState.getPlayer(1).racePosition, 2);
+});
+
+test('a retired player stops taking input and no longer holds up the race', () => {
+    const gameState = createRace(2);
+
+    assert.equal(gameState.retirePlayer(1), true);
+    assert.equal(gameState.retirePlayer(1), false);
+    assert.equal(gameState.mode.acceptsInput(gameState.getPlayer(1)), false);
+
+    for (let lap = 0; lap < gameState.maxLaps; lap++) completeLap(gameState, 2);
+    gameState.checkRaceCompletion();
+
+    assert.notEqual(gameState.raceEndTime, null);
+});
+
+test('a false start is only penalized once', () => {
+    const gameState = createRace(1);
+
+    assert.equal(gameState.penalizeFalseStart(1), true);
+    assert.equal(gameState.penalizeFalseStart(1), false);
+    assert.equal(gameState.getPlayer(1).startPenaltyUntil, GAME_CONSTANTS.LOBBY.FALSE_START_PENALTY);
+});
+
+test('simulating the same inputs twice gives the same snapshot', () => {
+    const simulate = () => {
+        const gameState = createRace(2);
+        for (let tick = 0; tick < 300; tick++) {
+            gameState.setPlayerInput(1, { steering: tick % 120 < 60 ? 0.5 : -0.5, brake: false });
+            gameState.setPlayerInput(2, { steering: 0, brake: tick % 90 < 10 });
+            gameState.update(1 / 60);
+        }
+        return gameState.players.map(p => ({ position: p.position, rotation: p.rotation, speed: p.speed }));
+    };
+
+    assert.deepEqual(simulate(), simulate());
+});
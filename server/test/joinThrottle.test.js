@@ -0,0 +1,51 @@
+// server/test/joinThrottle.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const JoinThrottle = require('../joinThrottle');
+
+const SETTINGS = { maxFailures: 3, windowMs: 1000, blockMs: 5000 };
+
+test('an address is blocked after too many failures inside the window', () => {
+    const throttle = new JoinThrottle(SETTINGS);
+
+    throttle.recordFailure('1.2.3.4', 0);
+    throttle.recordFailure('1.2.3.4', 10);
+    assert.equal(throttle.getRetryAfter('1.2.3.4', 20), 0);
+
+    throttle.recordFailure('1.2.3.4', 20);
+    assert.equal(throttle.getRetryAfter('1.2.3.4', 20), 5000);
+    assert.equal(throttle.getRetryAfter('1.2.3.4', 4020), 1000);
+    assert.equal(throttle.getRetryAfter('1.2.3.4', 5020), 0);
+});
+
+test('failures spread over separate windows do not add up', () => {
+    const throttle = new JoinThrottle(SETTINGS);
+
+    throttle.recordFailure('1.2.3.4', 0);
+    throttle.recordFailure('1.2.3.4', 500);
+    throttle.recordFailure('1.2.3.4', 1500);
+
+    assert.equal(throttle.getRetryAfter('1.2.3.4', 1500), 0);
+});
+
+test('addresses are counted separately', () => {
+    const throttle = new JoinThrottle(SETTINGS);
+
+    for (let i = 0; i < 3; i++) throttle.recordFailure('1.2.3.4', 0);
+
+    assert.ok(throttle.getRetryAfter('1.2.3.4', 0) > 0);
+    assert.equal(throttle.getRetryAfter('5.6.7.8', 0), 0);
+});
+
+test('cleanup forgets addresses once their window and block are over', () => {
+    const throttle = new JoinThrottle(SETTINGS);
+
+    throttle.recordFailure('1.2.3.4', 0);
+    for (let i = 0; i < 3; i++) throttle.recordFailure('5.6.7.8', 0);
+
+    throttle.cleanup(2000);
+    assert.deepEqual([...throttle.addresses.keys()], ['5.6.7.8']);
+
+    throttle.cleanup(6000);
+    assert.equal(throttle.addresses.size, 0);
+});
@@ -0,0 +1,86 @@
+// server/test/latencyMonitor.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LatencyMonitor = require('../../public/js/shared/latencyMonitor');
+
+function createMonitor() {
+    return new LatencyMonitor({ logging: false });
+}
+
+test('average, jitter and percentiles come from the recorded pings', () => {
+    const monitor = createMonitor();
+
+    for (let latency = 10; latency <= 100; latency += 10) monitor.recordPing(latency);
+    const stats = monitor.getStats();
+
+    assert.equal(stats.average, 55);
+    assert.equal(stats.jitter, 29);
+    assert.equal(stats.p50, 50);
+    assert.equal(stats.p95, 100);
+    assert.equal(stats.samples, 10);
+});
+
+test('lost pings count towards the loss rate', () => {
+    const monitor = createMonitor();
+
+    for (let i = 0; i < 9; i++) monitor.recordPing(20);
+    monitor.recordLoss();
+
+    assert.equal(monitor.getLossRate(), 0.1);
+    assert.equal(monitor.getStats().lost, 1);
+});
+
+test('quality is the worst of latency, jitter and loss', () => {
+    const monitor = createMonitor();
+
+    for (let i = 0; i < 20; i++) monitor.recordPing(20);
+    assert.equal(monitor.getQuality().rating, 'excellent');
+
+    for (let i = 0; i < 2; i++) monitor.recordLoss();
+    assert.equal(monitor.getQuality().rating, 'poor');
+});
+
+test('quality changes are reported as degraded and recovered', () => {
+    const monitor = createMonitor();
+    const changes = [];
+
+    monitor.on('degraded', change => changes.push(['degraded', change.previous.rating, change.quality.rating]));
+    monitor.on('recovered', change => changes.push(['recovered', change.previous.rating, change.quality.rating]));
+
+    monitor.recordPing(20);
+    monitor.recordPing(400);
+    for (let i = 0; i < 100; i++) monitor.recordPing(20);
+
+    assert.deepEqual(changes[0], ['degraded', 'excellent', 'bad']);
+    assert.equal(changes.at(-1)[0], 'recovered');
+    assert.equal(changes.at(-1)[2], 'excellent');
+});
+
+test('a spike is a ping far above the median', () => {
+    const monitor = createMonitor();
+
+    for (let i = 0; i < 10; i++) monitor.recordPing(30);
+
+    assert.equal(monitor.isSpike(40), false);
+    assert.equal(monitor.isSpike(500), true);
+});
+
+test('clock offset and drift are fitted to the fastest round trips', () => {
+    const monitor = createMonitor();
+    const drift = 0.0001;
+
+    // Server runs 5000ms ahead and gains 0.1ms per second; only every third ping is fast, the rest are skewed
+    for (let i = 0; i < 40; i++) {
+        const start = i * 1000;
+        const fast = i % 3 === 0;
+        const rtt = fast ? 20 : 300;
+        const midpoint = start + rtt / 2;
+        const serverTime = midpoint + 5000 + drift * midpoint + (fast ? 0 : 120);
+        monitor.recordClockSample(start, start + rtt, serverTime);
+    }
+
+    const now = 40000;
+    const expected = 5000 + drift * now;
+    assert.ok(Math.abs(monitor.getClockOffset(now) - expected) <= 2, `offset ${monitor.getClockOffset(now)}`);
+    assert.equal(monitor.getServerTime(now), now + monitor.getClockOffset(now));
+});
@@ -0,0 +1,70 @@
+// server/test/rateLimiter.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RateLimiter = require('../rateLimiter');
+
+const CONFIG = {
+    default: { rate: 1, burst: 2 },
+    events: { controllerInput: { rate: 10, burst: 5 } },
+    kick: { maxDropped: 3, windowMs: 1000 },
+    joinThrottle: {}
+};
+
+function consumeMany(limiter, eventName, count, now = 0) {
+    let allowed = 0;
+    for (let i = 0; i < count; i++) {
+        if (limiter.consume(eventName, now)) allowed++;
+    }
+    return allowed;
+}
+
+test('listed events use their own limit', () => {
+    const limiter = new RateLimiter(CONFIG);
+
+    assert.equal(consumeMany(limiter, 'controllerInput', 8), 5);
+});
+
+test('each unlisted event gets its own bucket at the default limit', () => {
+    const limiter = new RateLimiter(CONFIG);
+
+    assert.equal(consumeMany(limiter, 'getRoomState', 5), 2);
+    assert.equal(consumeMany(limiter, 'setReady', 5), 2);
+});
+
+test('event names without a handler share one bucket', () => {
+    const limiter = new RateLimiter(CONFIG, new Set(['setReady']));
+
+    assert.equal(consumeMany(limiter, 'madeUpA', 1) + consumeMany(limiter, 'madeUpB', 1) + consumeMany(limiter, 'madeUpC', 1), 2);
+    assert.equal(consumeMany(limiter, 'setReady', 5), 2);
+});
+
+test('buckets refill at their rate up to the burst size', () => {
+    const limiter = new RateLimiter(CONFIG);
+
+    consumeMany(limiter, 'setReady', 2, 0);
+    assert.equal(limiter.consume('setReady', 500), false);
+    assert.equal(limiter.consume('setReady', 1500), true);
+    assert.equal(consumeMany(limiter, 'setReady', 5, 60000), 2);
+});
+
+test('a socket is reported for kicking after enough drops inside the window', () => {
+    const limiter = new RateLimiter(CONFIG);
+
+    consumeMany(limiter, 'setReady', 4, 0);
+    assert.equal(limiter.shouldKick(0), false);
+
+    consumeMany(limiter, 'setReady', 1, 0);
+    assert.equal(limiter.shouldKick(0), true);
+    assert.equal(limiter.shouldKick(5000), false);
+});
+
+test('stats count allowed and dropped messages per bucket', () => {
+    const limiter = new RateLimiter(CONFIG);
+
+    consumeMany(limiter, 'setReady', 3);
+    const stats = limiter.getStats();
+
+    assert.equal(stats.allowed, 2);
+    assert.equal(stats.dropped, 1);
+    assert.deepEqual(stats.events.setReady, { allowed: 2, dropped: 1 });
+});